@@ -0,0 +1,1838 @@
+/* =======================
+   ROUTING ENGINE
+   Shared by the website (loaded before router.js) and the Node tools
+   (require("./engine.js")). Nothing in here may touch the DOM.
+======================= */
+
+/* =======================
+   CONFIGURATION
+======================= */
+const OPERATOR_CODES = {
+    "Stepford Connect": "CN",
+    "Metro": "MT",
+    "Waterline": "WL",
+    "AirLink": "AL",
+    "Stepford Express": "EX"
+};
+
+const DEFAULT_OPERATOR_PRICES = {
+    "CN": 5,
+    "MT": 3,
+    "WL": 7,
+    "AL": 10,
+    "EX": 15
+};
+
+const TRANSFER_PENALTY = 5;
+
+// Route id of the edges added for walking links between nearby stations
+const WALK_ROUTE = "Walk";
+
+/* =======================
+   GRAPH BUILDING
+======================= */
+function buildRouteData(routesData) {
+    const routeData = new Map();
+
+    routesData.routes.forEach(route => {
+        routeData.set(route.name, {
+            operator: route.operator,
+            operatorCode: OPERATOR_CODES[route.operator] || route.operator,
+            compatibleTrains: route.compatible_trains
+        });
+    });
+
+    return routeData;
+}
+
+// interchangeData is optional: without it changing trains takes no time.
+// Every train edge carries the time needed to change onto it at its
+// station, and walking links become edges of their own.
+function buildGraph(segmentsData, routeData, interchangeData) {
+    const graph = new Map();
+
+    segmentsData.segments.forEach(segment => {
+        const { from, to, routes } = segment;
+
+        routes.forEach(routeInfo => {
+            const { route: routeId, duration_minutes: time } = routeInfo;
+
+            // Get operator from route data
+            const routeDetails = routeData.get(routeId);
+            const operatorCode = routeDetails ? routeDetails.operatorCode : "Unknown";
+
+            // Add edge to graph
+            if (!graph.has(from)) {
+                graph.set(from, []);
+            }
+            const edge = {
+                to,
+                route: routeId,
+                operator: operatorCode,
+                time
+            };
+            if (routeInfo.distance !== undefined) {
+                edge.distance = routeInfo.distance;
+            }
+            if (interchangeData) {
+                edge.interchange = getInterchange(interchangeData, from, routeId);
+            }
+            graph.get(from).push(edge);
+        });
+    });
+
+    if (interchangeData) {
+        (interchangeData.walking_links || []).forEach(link => {
+            // Walking links can be used both ways
+            [[link.from, link.to], [link.to, link.from]].forEach(([from, to]) => {
+                if (!graph.has(from)) {
+                    graph.set(from, []);
+                }
+                graph.get(from).push({
+                    to,
+                    route: WALK_ROUTE,
+                    operator: WALK_ROUTE,
+                    time: link.minutes,
+                    walk: true
+                });
+            });
+        });
+    }
+
+    return graph;
+}
+
+// Minutes to change onto `routeId` at `station`, with the route pair
+// overrides (either way round) keyed by the route being left
+function getInterchange(interchangeData, station, routeId) {
+    const stationData = (interchangeData.stations || {})[station] || {};
+    const routePairs = {};
+
+    (stationData.route_pairs || []).forEach(pair => {
+        if (pair.to === routeId) routePairs[pair.from] = pair.minutes;
+        if (pair.from === routeId) routePairs[pair.to] = pair.minutes;
+    });
+
+    return {
+        minutes: stationData.minutes ?? interchangeData.default_minutes ?? 0,
+        routePairs
+    };
+}
+
+function interchangeTime(edge, fromRoute) {
+    if (!edge.interchange) return 0;
+    return edge.interchange.routePairs[fromRoute] ?? edge.interchange.minutes;
+}
+
+/* =======================
+   FARES
+======================= */
+// Pricing maps an operator code either to a flat price per stop, or to a
+// fare rule from fares.json: { boarding, per_stop, cap, free_transfer }.
+// With a rule, a ticket starts with the boarding charge, every stop adds
+// per_stop up to the cap, and a free transfer keeps the same ticket when
+// changing to another route of the same operator.
+function buildFareRules(faresData, perStopPrices = {}) {
+    const rules = {};
+
+    Object.entries(faresData.operators || {}).forEach(([code, rule]) => {
+        rules[code] = { ...rule };
+    });
+    Object.entries(perStopPrices).forEach(([code, price]) => {
+        rules[code] = { ...(rules[code] || {}), per_stop: price };
+    });
+
+    return rules;
+}
+
+function isSameTicket(prevStep, step, rule) {
+    if (!prevStep || prevStep.route === WALK_ROUTE || step.route === WALK_ROUTE) return false;
+    if (!step.transfer) return true;
+    return Boolean(rule && rule.free_transfer && step.operator === prevStep.operator);
+}
+
+// Charge for one hop, and the fare paid on the ticket after it
+function chargeHop(rule, ticket, sameTicket) {
+    if (!rule) return { charge: 0, ticket: 0 };
+    if (typeof rule === "number") return { charge: rule, ticket: 0 };
+
+    const before = sameTicket ? ticket : 0;
+    let after = before + (sameTicket ? 0 : rule.boarding || 0) + (rule.per_stop || 0);
+    if (typeof rule.cap === "number") after = Math.min(after, rule.cap);
+
+    return { charge: after - before, ticket: after };
+}
+
+// Charge of every step of a journey, in path order
+function priceJourney(journey, pricing) {
+    let ticket = 0;
+
+    return journey.path.map((step, i) => {
+        const rule = pricing[step.operator];
+        const hop = chargeHop(rule, ticket, isSameTicket(journey.path[i - 1], step, rule));
+        ticket = hop.ticket;
+        return hop.charge;
+    });
+}
+
+// Driver EXP/points for running `stops` stops in `time` minutes over
+// `distance`, with the rates from the "points" section of fares.json
+function calculatePoints({ time, stops, distance = 0 }, rates) {
+    return Math.round(
+        time * (rates.per_minute || 0) +
+        stops * (rates.per_stop || 0) +
+        distance * (rates.per_distance || 0)
+    );
+}
+
+// The per stop price an operator starts with before the user changes it
+function defaultPerStopPrice(fares, operatorCode) {
+    const rule = fares.operators[operatorCode] || {};
+    return rule.per_stop ?? DEFAULT_OPERATOR_PRICES[operatorCode] ?? 10;
+}
+
+// The segments of a journey with the fare and driver points of each
+function describeSegments(journey, pricing, pointRates) {
+    const charges = priceJourney(journey, pricing);
+
+    return extractSegments(journey.path).map(seg => {
+        const first = journey.path.indexOf(seg.steps[0]);
+        return {
+            ...seg,
+            fare: charges.slice(first, first + seg.steps.length).reduce((sum, c) => sum + c, 0),
+            points: seg.route === WALK_ROUTE ? 0 : calculatePoints({
+                time: seg.time,
+                stops: seg.stations.length - 1,
+                distance: seg.steps.reduce((sum, step) => sum + (step.distance || 0), 0)
+            }, pointRates)
+        };
+    });
+}
+
+/* =======================
+   PRIORITY QUEUE
+======================= */
+// Binary min-heap. Items that compare equal come out in insertion order,
+// which keeps results identical to the old sorted-array queue.
+class PriorityQueue {
+    constructor(compare) {
+        this.data = [];
+        this.compare = compare;
+        this.seq = 0;
+    }
+    push(x) {
+        const data = this.data;
+        data.push({ item: x, seq: this.seq++ });
+
+        let i = data.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(data[i], data[parent])) break;
+            [data[i], data[parent]] = [data[parent], data[i]];
+            i = parent;
+        }
+    }
+    pop() {
+        const data = this.data;
+        if (!data.length) return undefined;
+
+        const top = data[0];
+        const last = data.pop();
+        if (data.length) {
+            data[0] = last;
+
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < data.length && this.less(data[left], data[smallest])) smallest = left;
+                if (right < data.length && this.less(data[right], data[smallest])) smallest = right;
+                if (smallest === i) break;
+                [data[i], data[smallest]] = [data[smallest], data[i]];
+                i = smallest;
+            }
+        }
+        return top.item;
+    }
+    less(a, b) {
+        const order = this.compare(a.item, b.item);
+        return order < 0 || (order === 0 && a.seq < b.seq);
+    }
+    get size() {
+        return this.data.length;
+    }
+}
+
+/* =======================
+   SEARCH MODES
+======================= */
+// Each mode is an ordering of search labels: the queue pops the smallest
+// label first, and a label only replaces another one if it sorts before it.
+const SEARCH_MODES = {
+    balanced: (a, b) => {
+        const scoreA = a.time + (a.transfers * TRANSFER_PENALTY);
+        const scoreB = b.time + (b.transfers * TRANSFER_PENALTY);
+        return scoreA - scoreB;
+    },
+    direct: (a, b) => {
+        if (a.transfers !== b.transfers) return a.transfers - b.transfers;
+        return a.time - b.time;
+    },
+    cheap: (a, b) => {
+        if (a.cost !== b.cost) return a.cost - b.cost;
+        return a.time - b.time;
+    }
+};
+
+function getSearchMode(mode) {
+    return SEARCH_MODES[mode] || SEARCH_MODES.balanced;
+}
+
+/* =======================
+   PATHFINDING
+======================= */
+// One label per route leaving `from`, so the first train is never a transfer
+function startLabels(graph, from) {
+    return (graph.get(from) || []).map(e => ({
+        station: from,
+        route: e.route,
+        operator: e.operator,
+        time: 0,
+        transfers: 0,
+        cost: 0,
+        prev: null,
+        step: null
+    }));
+}
+
+function extendLabel(cur, e, pricing) {
+    // After a walk, the next train is a change from the train before the walk.
+    // Walking itself is not a change, and its time already covers the interchange.
+    const walked = cur.route === WALK_ROUTE;
+    const riding = walked ? cur.lastTrain : cur.route;
+    const transfer = !e.walk && riding && e.route !== riding;
+    const transferTime = transfer && !walked ? interchangeTime(e, riding) : 0;
+
+    const step = {
+        from: cur.station,
+        to: e.to,
+        route: e.route,
+        operator: e.operator,
+        time: e.time,
+        transfer
+    };
+    if (transferTime) step.transferTime = transferTime;
+    if (e.distance !== undefined) step.distance = e.distance;
+
+    const rule = pricing[e.operator];
+    const hop = chargeHop(rule, cur.ticket || 0, isSameTicket(cur.step, step, rule));
+
+    const next = {
+        station: e.to,
+        route: e.route,
+        operator: e.operator,
+        time: cur.time + transferTime + e.time,
+        transfers: cur.transfers + (transfer ? 1 : 0),
+        cost: cur.cost + hop.charge,
+        prev: cur,
+        step
+    };
+    if (hop.ticket) next.ticket = hop.ticket;
+    if (e.walk) next.lastTrain = riding;
+
+    return next;
+}
+
+// The graph edge a path step was made from
+function findEdge(graph, step) {
+    return (graph.get(step.from) || []).find(e => e.to === step.to && e.route === step.route);
+}
+
+// The search state of a label: station, route and, when the operator's fare
+// has a cap, the fare already paid on the current ticket. Changing route at
+// a station is a different state from staying on the train, and so is
+// arriving with a ticket closer to its cap: the rest of the journey costs
+// less, so a label that is cheaper so far must not replace it. Without a cap
+// the fares still to pay do not depend on the ticket.
+function labelKey(label, pricing) {
+    const rule = pricing[label.operator];
+    const capped = rule && typeof rule === "object" && typeof rule.cap === "number";
+    return label.station + "|" + label.route + (capped ? "|" + (label.ticket || 0) : "");
+}
+
+// Label-setting search keyed on labelKey. Labels keep a
+// pointer to the label they came from instead of a copy of the path.
+// `visit` is called for every label taken off the queue; returning true
+// stops the search and returns that label. `extend` builds the label for
+// taking an edge, the timetable search swaps in one that waits for trains.
+function searchGraph(graph, sources, compare, pricing, visit, extend = extendLabel) {
+    const pq = new PriorityQueue(compare);
+    const best = new Map();
+
+    for (const s of sources) {
+        best.set(labelKey(s, pricing), s);
+        pq.push(s);
+    }
+
+    while (pq.size) {
+        const cur = pq.pop();
+        if (visit(cur)) return cur;
+
+        for (const e of graph.get(cur.station) || []) {
+            const next = extend(cur, e, pricing);
+            const key = labelKey(next, pricing);
+            const prev = best.get(key);
+
+            if (!prev || compare(next, prev) < 0) {
+                best.set(key, next);
+                pq.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+function labelToResult(label) {
+    const path = [];
+    for (let l = label; l.step; l = l.prev) {
+        path.push(l.step);
+    }
+    path.reverse();
+
+    return {
+        station: label.station,
+        route: label.route,
+        operator: label.operator,
+        time: label.time,
+        transfers: label.transfers,
+        cost: label.cost,
+        path
+    };
+}
+
+function findPath(graph, from, to, mode, pricing) {
+    const label = searchGraph(graph, startLabels(graph, from), getSearchMode(mode), pricing, l => l.station === to);
+    return label ? labelToResult(label) : null;
+}
+
+// Every station reachable from `from`. The search runs to the end and keeps
+// the first label taken off the queue at each station, which is the one
+// findPath would return for that station as destination.
+function findReachable(graph, from, mode, pricing) {
+    const reached = new Map();
+
+    searchGraph(graph, startLabels(graph, from), getSearchMode(mode), pricing, label => {
+        if (label.station !== from && !reached.has(label.station)) {
+            reached.set(label.station, labelToResult(label));
+        }
+        return false;
+    });
+
+    return reached;
+}
+
+// One row per ordered pair of stations, unreachable pairs have null values
+function buildOdMatrix(graph, stations, mode, pricing) {
+    const rows = [];
+    stations.forEach(from => {
+        const reached = findReachable(graph, from, mode, pricing);
+        stations.forEach(to => {
+            if (from === to) return;
+            const r = reached.get(to);
+            rows.push({
+                from,
+                to,
+                time: r ? r.time : null,
+                transfers: r ? r.transfers : null,
+                cost: r ? r.cost : null
+            });
+        });
+    });
+    return rows;
+}
+
+function formatCsv(rows, columns) {
+    const cell = value => {
+        if (value === null || value === undefined) return "";
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(","), ...rows.map(row => columns.map(col => cell(row[col])).join(","))].join("\n") + "\n";
+}
+
+/* =======================
+   ROUTE UTILITIES
+======================= */
+function findEquivalentRoutes(graph, segment) {
+    const result = [];
+
+    // Check which routes serve this exact segment
+    for (const edge of graph.get(segment.from) || []) {
+        if (edge.to === segment.to &&
+            edge.operator === segment.operator &&
+            edge.route !== segment.route) {
+            result.push(edge.route);
+        }
+    }
+
+    return result;
+}
+
+function extractSegments(path) {
+    const segments = [];
+    let current = null;
+
+    for (const step of path) {
+        if (!current || step.transfer || step.route !== current.route) {
+            if (current) segments.push(current);
+            current = {
+                route: step.route,
+                operator: step.operator,
+                from: step.from,
+                to: step.to,
+                stations: [step.from, step.to],
+                steps: [step],
+                time: step.time
+            };
+        } else {
+            current.to = step.to;
+            current.stations.push(step.to);
+            current.steps.push(step);
+            current.time += step.time;
+        }
+    }
+
+    if (current) segments.push(current);
+    return segments;
+}
+
+/* =======================
+   ALTERNATIVE ROUTES
+======================= */
+// Two itineraries are the same journey when they ride the same stops and
+// only swap a route for an equivalent one on a segment.
+function itineraryKey(graph, result) {
+    return extractSegments(result.path).map(seg => {
+        const routes = [seg.route, ...findEquivalentRoutes(graph, seg)].sort();
+        return seg.stations.join(",") + "@" + routes[0];
+    }).join("|");
+}
+
+// The route of path[i] and the routes that run every hop of its segment from
+// there with it: taking any of them at path[i] gives the same journey again
+function blockedRoutes(graph, path, i) {
+    let routes = [path[i].route, ...findEquivalentRoutes(graph, path[i])];
+    for (let j = i + 1; j < path.length && !path[j].transfer && path[j].route === path[i].route; j++) {
+        const equivalents = findEquivalentRoutes(graph, path[j]);
+        routes = routes.filter(route => route === path[i].route || equivalents.includes(route));
+    }
+    return routes;
+}
+
+// Copy of the graph without the edges `keep` rejects
+function filterGraph(graph, keep) {
+    const filtered = new Map();
+    graph.forEach((edges, from) => {
+        filtered.set(from, edges.filter(e => keep(from, e)));
+    });
+    return filtered;
+}
+
+// Yen's k-shortest paths on top of searchGraph. Every result is a spur
+// search from a station on an earlier result, with the root stations
+// blocked and the next hop of every result sharing that root removed, so
+// each new itinerary leaves the earlier ones somewhere. The search starts
+// from `first`, the journey already shown for the mode, and the results come
+// back sorted by the mode since spur searches carry their root's fares.
+function findAlternativePaths(graph, from, to, mode, pricing, count, first = findPath(graph, from, to, mode, pricing)) {
+    const compare = getSearchMode(mode);
+    // Nothing to leave from when `from` is `to`
+    if (!first || !first.path.length) return [];
+
+    const accepted = [first];
+    const candidates = [];
+    const seen = new Set([itineraryKey(graph, first)]);
+
+    while (accepted.length < count) {
+        const last = accepted[accepted.length - 1];
+
+        // Rebuild the labels of the last result so spur searches carry on
+        // from the same route, time, transfers and cost.
+        let label = startLabels(graph, from).find(l => l.route === last.path[0].route);
+        const rootLabels = [label];
+        for (const step of last.path) {
+            label = extendLabel(label, findEdge(graph, step), pricing);
+            rootLabels.push(label);
+        }
+
+        for (let i = 0; i < last.path.length; i++) {
+            const root = last.path.slice(0, i);
+            const spur = last.path[i].from;
+            const rootKey = root.map(step => step.from + ">" + step.to + "@" + step.route).join("|");
+
+            const blockedStations = new Set(root.map(step => step.from));
+            const blockedHops = new Set();
+            for (const p of accepted) {
+                const pKey = p.path.slice(0, i).map(step => step.from + ">" + step.to + "@" + step.route).join("|");
+                if (p.path.length > i && pKey === rootKey) {
+                    blockedRoutes(graph, p.path, i).forEach(route => {
+                        blockedHops.add(p.path[i].from + ">" + p.path[i].to + "@" + route);
+                    });
+                }
+            }
+
+            const spurGraph = filterGraph(graph, (f, e) =>
+                !blockedStations.has(e.to) &&
+                !blockedHops.has(f + ">" + e.to + "@" + e.route)
+            );
+
+            const sources = i === 0 ? startLabels(spurGraph, from) : [rootLabels[i]];
+            const found = searchGraph(spurGraph, sources, compare, pricing, l => l.station === to);
+            if (!found) continue;
+
+            const candidate = labelToResult(found);
+            const key = itineraryKey(graph, candidate);
+            if (seen.has(key)) continue;
+
+            seen.add(key);
+            candidates.push(candidate);
+        }
+
+        if (!candidates.length) break;
+
+        candidates.sort(compare);
+        accepted.push(candidates.shift());
+    }
+
+    return accepted.sort(compare);
+}
+
+/* =======================
+   PARETO JOURNEYS
+======================= */
+function dominates(a, b) {
+    return a.time <= b.time && a.transfers <= b.transfers && a.cost <= b.cost &&
+        (a.time < b.time || a.transfers < b.transfers || a.cost < b.cost);
+}
+
+// Dominated by, or tied with, a label already in the bag
+function isCovered(bag, label) {
+    return bag.some(o => dominates(o, label) ||
+        (o.time === label.time && o.transfers === label.transfers && o.cost === label.cost));
+}
+
+// Multi-criteria search: every search state (labelKey) keeps a bag of labels that
+// no other label beats on time, transfers and cost at once, and the journeys
+// reaching `to` are the non-dominated trade-offs between the three.
+function findParetoPaths(graph, from, to, pricing) {
+    const pq = new PriorityQueue(SEARCH_MODES.balanced);
+    const bags = new Map();
+    let arrivals = [];
+
+    for (const s of startLabels(graph, from)) {
+        const key = labelKey(s, pricing);
+        if (!bags.has(key)) bags.set(key, []);
+        bags.get(key).push(s);
+        pq.push(s);
+    }
+
+    while (pq.size) {
+        const cur = pq.pop();
+        if (cur.dominated) continue;
+
+        if (cur.station === to) {
+            if (!isCovered(arrivals, cur)) {
+                arrivals = arrivals.filter(a => !dominates(cur, a));
+                arrivals.push(cur);
+            }
+            continue;
+        }
+
+        // Times, transfers and costs only grow, so nothing past here can
+        // beat a journey that has already arrived
+        if (isCovered(arrivals, cur)) continue;
+
+        for (const e of graph.get(cur.station) || []) {
+            const next = extendLabel(cur, e, pricing);
+            const key = labelKey(next, pricing);
+            const bag = bags.get(key) || [];
+
+            if (isCovered(bag, next) || isCovered(arrivals, next)) continue;
+
+            bag.forEach(o => {
+                if (dominates(next, o)) o.dominated = true;
+            });
+            bags.set(key, bag.filter(o => !o.dominated).concat(next));
+            pq.push(next);
+        }
+    }
+
+    return arrivals
+        .map(labelToResult)
+        .sort((a, b) => a.time - b.time || a.transfers - b.transfers || a.cost - b.cost);
+}
+
+// The best journey of the Pareto set in one of the search modes
+function pickJourney(journeys, mode) {
+    if (!journeys.length) return null;
+    return journeys.slice().sort(getSearchMode(mode))[0];
+}
+
+/* =======================
+   SEARCH CONSTRAINTS
+======================= */
+// constraints: { via: [codes in order], avoidStations: [codes],
+//                excludeRoutes: [route ids], excludeOperators: [operator codes],
+//                onlyRoutes: [route ids] or undefined for every route }
+// Walking links are kept with onlyRoutes.
+function applyConstraints(graph, constraints) {
+    const avoid = new Set(constraints.avoidStations || []);
+    const routes = new Set(constraints.excludeRoutes || []);
+    const operators = new Set(constraints.excludeOperators || []);
+    const only = constraints.onlyRoutes ? new Set(constraints.onlyRoutes) : null;
+
+    if (!avoid.size && !routes.size && !operators.size && !only) return graph;
+
+    return filterGraph(graph, (from, e) =>
+        !avoid.has(from) &&
+        !avoid.has(e.to) &&
+        !routes.has(e.route) &&
+        !operators.has(e.operator) &&
+        (!only || e.walk || only.has(e.route))
+    );
+}
+
+// Chains two journeys at the station where the first one ends. The legs were
+// priced on their own, so the joined path is priced again: a ticket carries
+// on across the join, with its cap and free transfers.
+function joinJourneys(graph, a, b, pricing) {
+    const last = a.path[a.path.length - 1];
+    const first = b.path[0];
+    const riding = [...a.path].reverse().find(step => step.route !== WALK_ROUTE);
+
+    const transfer = Boolean(riding && first && first.route !== WALK_ROUTE && first.route !== riding.route);
+    const transferTime = transfer && last.route !== WALK_ROUTE
+        ? interchangeTime(findEdge(graph, first), riding.route)
+        : 0;
+
+    const joined = first ? { ...first, transfer } : null;
+    if (joined) delete joined.transferTime;
+    if (transferTime) joined.transferTime = transferTime;
+
+    const path = a.path.concat(joined ? [joined] : [], b.path.slice(1));
+
+    return {
+        station: b.station,
+        route: b.route,
+        operator: b.operator,
+        time: a.time + transferTime + b.time,
+        transfers: a.transfers + b.transfers + (transfer ? 1 : 0),
+        cost: priceJourney({ path }, pricing).reduce((sum, c) => sum + c, 0),
+        path
+    };
+}
+
+// Pareto journeys from `from` to `to` that respect the constraints. Via
+// stations are visited in order: every leg is searched on its own and the
+// legs are combined, keeping only the non-dominated combinations.
+function findJourneys(graph, from, to, pricing, constraints = {}) {
+    const filtered = applyConstraints(graph, constraints);
+    const stops = [from, ...(constraints.via || []), to];
+    let journeys = null;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const legs = findParetoPaths(filtered, stops[i], stops[i + 1], pricing);
+
+        if (!journeys) {
+            journeys = legs;
+        } else {
+            const combined = [];
+            journeys.forEach(a => legs.forEach(b => {
+                const joined = joinJourneys(filtered, a, b, pricing);
+                if (!isCovered(combined, joined)) {
+                    combined.push(joined);
+                }
+            }));
+            journeys = combined.filter(j => !combined.some(o => dominates(o, j)));
+        }
+
+        if (!journeys.length) return [];
+    }
+
+    return journeys.sort((a, b) => a.time - b.time || a.transfers - b.transfers || a.cost - b.cost);
+}
+
+/* =======================
+   TIMETABLES
+======================= */
+function parseClock(text) {
+    const [hours, minutes] = text.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// Game clock time, with the number of periods (game days) later
+function formatClock(minutes, period = 1440) {
+    const day = Math.floor(minutes / period);
+    const local = minutes - day * period;
+    const clock = `${String(Math.floor(local / 60)).padStart(2, "0")}:${String(local % 60).padStart(2, "0")}`;
+    return day > 0 ? `${clock} (+${day})` : clock;
+}
+
+// Departures of every route at every station it serves. `first_departure`
+// and `last_departure` are at the first stop of each direction, later stops
+// are offset by the running time from there. Routes without an entry have
+// no timetable.
+function buildTimetable(timetableData, routesData, segmentsData) {
+    const durations = new Map();
+    segmentsData.segments.forEach(segment => {
+        segment.routes.forEach(({ route, duration_minutes }) => {
+            durations.set(`${segment.from}|${segment.to}|${route}`, duration_minutes);
+        });
+    });
+
+    const services = new Map();
+    routesData.routes.forEach(route => {
+        const entry = (timetableData.routes || {})[route.name];
+        if (!entry) return;
+
+        const service = {
+            headway: entry.headway_minutes,
+            first: parseClock(entry.first_departure || "00:00"),
+            last: entry.last_departure ? parseClock(entry.last_departure) : null
+        };
+
+        [route.stations_forward, route.stations_reverse].forEach(stops => {
+            let offset = 0;
+            for (let i = 0; i < (stops || []).length - 1; i++) {
+                const key = `${route.name}|${stops[i]}|${stops[i + 1]}`;
+                if (!services.has(key)) services.set(key, { ...service, offset });
+                offset += durations.get(`${stops[i]}|${stops[i + 1]}|${route.name}`) || 0;
+            }
+        });
+    });
+
+    return { period: timetableData.period_minutes || 1440, services };
+}
+
+function hasTimetable(timetable, route, from, to) {
+    return timetable.services.has(`${route}|${from}|${to}`);
+}
+
+// First departure of `route` from `from` towards `to` at or after clock `t`.
+// Routes without a timetable are assumed to always have a train waiting.
+function nextDeparture(timetable, route, from, to, t) {
+    const service = timetable.services.get(`${route}|${from}|${to}`);
+    if (!service) return t;
+
+    const { period } = timetable;
+    const first = service.first + service.offset;
+    const base = Math.floor(t / period) * period;
+    const local = t - base;
+
+    // Without a last departure the service runs round the clock
+    if (service.last === null) {
+        return base + first + Math.ceil((local - first) / service.headway) * service.headway;
+    }
+
+    if (local <= first) return base + first;
+    const departs = first + Math.ceil((local - first) / service.headway) * service.headway;
+    return departs <= service.last + service.offset ? base + departs : base + period + first;
+}
+
+function isBoarding(prevRoute, step, first) {
+    return step.route !== WALK_ROUTE && (first || step.transfer || prevRoute === WALK_ROUTE);
+}
+
+// Label times become clock times: boarding a train waits for its next departure
+function timedExtender(timetable) {
+    return (cur, e, pricing) => {
+        const next = extendLabel(cur, e, pricing);
+        const ready = cur.time + (next.step.transferTime || 0);
+        const departs = isBoarding(cur.route, next.step, !cur.step)
+            ? nextDeparture(timetable, e.route, cur.station, e.to, ready)
+            : cur.time;
+
+        next.time = departs + e.time;
+        return next;
+    };
+}
+
+// Clock times of every step of a journey leaving at `departure`. The
+// journey's time becomes the door to door time, waiting included. Boarding
+// a route without a timetable is marked `noTimetable`.
+function scheduleJourney(timetable, journey, departure) {
+    let clock = departure;
+
+    const path = journey.path.map((step, i) => {
+        const ready = clock + (step.transferTime || 0);
+        const boarding = isBoarding(i > 0 ? journey.path[i - 1].route : null, step, i === 0);
+        const departs = boarding
+            ? nextDeparture(timetable, step.route, step.from, step.to, ready)
+            : clock;
+        clock = departs + step.time;
+
+        const scheduled = { ...step, departs, arrives: clock };
+        delete scheduled.wait;
+        delete scheduled.noTimetable;
+        if (departs > ready) scheduled.wait = departs - ready;
+        if (boarding && !hasTimetable(timetable, step.route, step.from, step.to)) scheduled.noTimetable = true;
+        return scheduled;
+    });
+
+    return { ...journey, path, departure, arrival: clock, time: clock - departure };
+}
+
+// Earliest arrival when leaving `from` at clock time `departure`
+function findTimedJourney(graph, timetable, from, to, departure, pricing, constraints = {}) {
+    const filtered = applyConstraints(graph, constraints);
+    const stops = [from, ...(constraints.via || []), to];
+    const compare = (a, b) => a.time - b.time || a.transfers - b.transfers;
+    const extend = timedExtender(timetable);
+    let journey = null;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const start = journey ? scheduleJourney(timetable, journey, departure).arrival : departure;
+        const sources = startLabels(filtered, stops[i]).map(l => ({ ...l, time: start }));
+        const label = searchGraph(filtered, sources, compare, pricing, l => l.station === stops[i + 1], extend);
+        if (!label) return null;
+
+        const leg = labelToResult(label);
+        journey = journey ? joinJourneys(filtered, journey, leg, pricing) : leg;
+    }
+
+    return scheduleJourney(timetable, journey, departure);
+}
+
+/* =======================
+   TRAIN SEARCH
+   A train filter is { name, propulsion, minSize }: part of the name
+   ("class 43"), "D" for diesel or "E" for electric, and the smallest size.
+   Missing fields match every train.
+======================= */
+function matchTrains(trains, filter) {
+    const name = normalizeText(filter.name || "");
+    return trains.filter(train =>
+        (!name || normalizeText(train.name).includes(name)) &&
+        (!filter.propulsion || train.propulsion === filter.propulsion) &&
+        (!filter.minSize || train.size >= filter.minSize)
+    );
+}
+
+// Routes at least one of `trains` can run, for constraints.onlyRoutes
+function findTrainRoutes(routeData, trains) {
+    const names = new Set(trains.map(train => train.name));
+    return [...routeData.keys()]
+        .filter(routeId => (routeData.get(routeId).compatibleTrains || []).some(name => names.has(name)))
+        .sort();
+}
+
+// Labels count the minutes spent off `routes`: on other trains, walking
+// and changing
+function trainTimeExtender(routes) {
+    return (cur, e, pricing) => {
+        const next = extendLabel(cur, e, pricing);
+        next.offTrain = (cur.offTrain || 0) + (routes.has(e.route) ? 0 : next.time - cur.time);
+        return next;
+    };
+}
+
+// The journey with the most of its time on `routes`, found as the one with
+// the least time off them (the most time on them would ride in circles).
+// Ties go to the fastest. trainTime is the time on `routes`.
+function findTrainJourney(graph, from, to, routes, pricing, constraints = {}) {
+    const filtered = applyConstraints(graph, constraints);
+    const preferred = new Set(routes);
+    const stops = [from, ...(constraints.via || []), to];
+    const compare = (a, b) => a.offTrain - b.offTrain || a.time - b.time || a.transfers - b.transfers;
+    const extend = trainTimeExtender(preferred);
+    let journey = null;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const sources = startLabels(filtered, stops[i]).map(l => ({ ...l, offTrain: 0 }));
+        const label = searchGraph(filtered, sources, compare, pricing, l => l.station === stops[i + 1], extend);
+        if (!label) return null;
+
+        const leg = labelToResult(label);
+        journey = journey ? joinJourneys(filtered, journey, leg, pricing) : leg;
+    }
+
+    const trainTime = journey.path
+        .filter(step => preferred.has(step.route))
+        .reduce((sum, step) => sum + step.time, 0);
+    return { ...journey, trainTime };
+}
+
+/* =======================
+   ROUTE SERVICES
+======================= */
+// Every route in both directions as an ordered stop list, with the running
+// time from the first stop to each stop. A service is incomplete when a
+// stop pair has no segment, its times then stop at the gap.
+function buildServices(routesData, segmentsData) {
+    const durations = new Map();
+    segmentsData.segments.forEach(segment => {
+        segment.routes.forEach(({ route, duration_minutes }) => {
+            durations.set(`${segment.from}|${segment.to}|${route}`, duration_minutes);
+        });
+    });
+
+    const services = [];
+    routesData.routes.forEach(route => {
+        const directions = { forward: route.stations_forward, reverse: route.stations_reverse };
+
+        for (const [direction, stops] of Object.entries(directions)) {
+            if (!stops || stops.length < 2) continue;
+
+            const times = [0];
+            let complete = true;
+            for (let i = 0; i < stops.length - 1; i++) {
+                const time = durations.get(`${stops[i]}|${stops[i + 1]}|${route.name}`);
+                if (typeof time !== "number") {
+                    complete = false;
+                    break;
+                }
+                times.push(times[i] + time);
+            }
+
+            services.push({
+                route: route.name,
+                operator: route.operator,
+                direction,
+                stops,
+                times,
+                complete
+            });
+        }
+    });
+
+    return services;
+}
+
+// Station code -> set of the routes calling there
+function buildStationRoutes(services) {
+    const stationRoutes = new Map();
+
+    services.forEach(service => {
+        service.stops.forEach(code => {
+            if (!stationRoutes.has(code)) stationRoutes.set(code, new Set());
+            stationRoutes.get(code).add(service.route);
+        });
+    });
+
+    return stationRoutes;
+}
+
+/* =======================
+   DRIVER PLANNER
+======================= */
+function canRunTrain(routeData, routeId, trainName) {
+    const routeInfo = routeData.get(routeId);
+    return Boolean(routeInfo && (routeInfo.compatibleTrains || []).includes(trainName));
+}
+
+// Runs of a service from `station` to `to`, or to its terminus
+function makeRun(service, station, to) {
+    const start = service.stops.indexOf(station);
+    const end = to === undefined ? service.stops.length - 1 : service.stops.indexOf(to, start + 1);
+
+    return {
+        route: service.route,
+        operator: service.operator,
+        direction: service.direction,
+        from: station,
+        to: service.stops[end],
+        stops: end - start + 1,
+        time: service.times[end] - service.times[start],
+        startsHere: start === 0
+    };
+}
+
+// Every complete service the train may run from `station`, to its terminus
+function findDriverRoutes(services, routeData, trainName, station) {
+    return services
+        .filter(service =>
+            service.complete &&
+            canRunTrain(routeData, service.route, trainName) &&
+            service.stops.indexOf(station) !== -1 &&
+            service.stops.indexOf(station) < service.stops.length - 1
+        )
+        .map(service => makeRun(service, station))
+        .sort((a, b) => a.time - b.time || a.route.localeCompare(b.route));
+}
+
+// Chains runs into a shift that starts at `start` and ends at `depot` as
+// close to `targetMinutes` as possible. Every run goes to its terminus,
+// except the last one which may stop at the depot on the way.
+function planDriverShift(services, routeData, trainName, start, depot, targetMinutes, slackMinutes = 60) {
+    const limit = targetMinutes + slackMinutes;
+    const runsFrom = new Map();
+    const cache = station => {
+        if (!runsFrom.has(station)) {
+            runsFrom.set(station, findDriverRoutes(services, routeData, trainName, station));
+        }
+        return runsFrom.get(station);
+    };
+
+    // reached[t] maps station -> { prev, run }, the first way found to be
+    // at that station after t minutes
+    const reached = Array.from({ length: limit + 1 }, () => new Map());
+    const finishes = [];
+    reached[0].set(start, { prev: null, run: null });
+
+    for (let t = 0; t <= limit; t++) {
+        for (const station of reached[t].keys()) {
+            for (const run of cache(station)) {
+                if (run.time <= 0) continue;
+
+                const end = t + run.time;
+                if (end <= limit && !reached[end].has(run.to)) {
+                    reached[end].set(run.to, { prev: [t, station], run });
+                }
+
+                // Stopping at the depot before the terminus ends the shift
+                const service = services.find(s => s.route === run.route && s.direction === run.direction);
+                const depotIndex = service.stops.indexOf(depot, service.stops.indexOf(station) + 1);
+                if (depotIndex !== -1 && depotIndex < service.stops.length - 1) {
+                    const partial = makeRun(service, station, depot);
+                    if (t + partial.time <= limit) {
+                        finishes.push({ time: t + partial.time, prev: [t, station], run: partial });
+                    }
+                }
+            }
+        }
+    }
+
+    for (let t = 1; t <= limit; t++) {
+        if (reached[t].has(depot)) {
+            const { prev, run } = reached[t].get(depot);
+            finishes.push({ time: t, prev, run });
+        }
+    }
+
+    if (!finishes.length) return null;
+
+    const best = finishes.reduce((a, b) =>
+        Math.abs(b.time - targetMinutes) < Math.abs(a.time - targetMinutes) ? b : a
+    );
+
+    const runs = [best.run];
+    let [t, station] = best.prev;
+    while (t > 0) {
+        const entry = reached[t].get(station);
+        runs.unshift(entry.run);
+        [t, station] = entry.prev;
+    }
+
+    return { runs, time: best.time, start, depot, train: trainName };
+}
+
+/* =======================
+   STATION INFORMATION
+======================= */
+const NEXT_STOP_COUNT = 3;
+
+// Every service calling at `code`: where it goes next and where it ends
+function listStationServices(services, routeData, code) {
+    const calls = [];
+
+    services.forEach(service => {
+        const idx = service.stops.indexOf(code);
+        if (idx === -1) return;
+
+        const info = routeData.get(service.route);
+        const after = service.stops.slice(idx + 1);
+        const minutesFrom = stopIdx => service.times[stopIdx] !== undefined && service.times[idx] !== undefined
+            ? service.times[stopIdx] - service.times[idx]
+            : null;
+
+        calls.push({
+            route: service.route,
+            operator: info ? info.operator : service.operator,
+            operatorCode: info ? info.operatorCode : service.operator,
+            direction: service.direction,
+            origin: service.stops[0],
+            terminus: service.stops[service.stops.length - 1],
+            terminates: after.length === 0,
+            nextStops: after.slice(0, NEXT_STOP_COUNT).map((stop, i) => ({ code: stop, minutes: minutesFrom(idx + 1 + i) })),
+            remainingStops: after.length,
+            toTerminus: minutesFrom(service.stops.length - 1)
+        });
+    });
+
+    return calls.sort((a, b) =>
+        a.operatorCode.localeCompare(b.operatorCode) ||
+        a.route.localeCompare(b.route) ||
+        a.direction.localeCompare(b.direction));
+}
+
+// Number of stations first reached with 0, 1, ... maxChanges changes of train
+function countReachable(services, code, maxChanges = 2) {
+    const reached = new Set([code]);
+    const counts = [];
+    let frontier = [code];
+
+    for (let changes = 0; changes <= maxChanges; changes++) {
+        const next = [];
+        frontier.forEach(station => {
+            services.forEach(service => {
+                const idx = service.stops.indexOf(station);
+                if (idx === -1) return;
+
+                service.stops.slice(idx + 1).forEach(stop => {
+                    if (!reached.has(stop)) {
+                        reached.add(stop);
+                        next.push(stop);
+                    }
+                });
+            });
+        });
+        counts.push(next.length);
+        frontier = next;
+    }
+    return counts;
+}
+
+function describeStation(services, routeData, code) {
+    const calls = listStationServices(services, routeData, code);
+
+    const trains = new Set();
+    calls.forEach(call => {
+        const info = routeData.get(call.route);
+        (info && info.compatibleTrains || []).forEach(name => trains.add(name));
+    });
+
+    const [direct, oneChange, twoChanges] = countReachable(services, code, 2);
+
+    return {
+        code,
+        calls,
+        trains: [...trains].sort(),
+        reachable: { direct, oneChange, twoChanges }
+    };
+}
+
+/* =======================
+   STATION SEARCH
+======================= */
+function normalizeText(text) {
+    return text.toLowerCase()
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+function isSubsequence(short, long) {
+    let i = 0;
+    for (const ch of long) {
+        if (ch === short[i]) i++;
+    }
+    return i === short.length;
+}
+
+// How well one typed word matches one word of a name, 0 when it does not
+function matchWord(token, word) {
+    if (word === token) return 10;
+    if (word.startsWith(token)) return 8;
+    if (token.length >= 3 && word.includes(token)) return 5;
+
+    // Dropped letters, "stpfrd" -> "stepford"
+    if (token.length >= 3 && token[0] === word[0] && isSubsequence(token, word)) return 4;
+
+    // Typos, against the whole word or the part typed so far
+    const allowed = token.length >= 6 ? 2 : token.length >= 4 ? 1 : 0;
+    if (allowed && editDistance(token, word) <= allowed) return 3;
+    if (allowed && token[0] === word[0] && editDistance(token, word.slice(0, token.length)) <= allowed) return 3;
+
+    return 0;
+}
+
+function scoreStation(tokens, { code, name }) {
+    const lowerCode = code.toLowerCase();
+    if (tokens.length === 1 && tokens[0] === lowerCode) return 100;
+    if (tokens.length === 1 && lowerCode.startsWith(tokens[0])) return 40;
+
+    const words = normalizeText(name || "").split(" ");
+    let score = 0;
+    let lastIndex = -1;
+
+    for (const token of tokens) {
+        let best = 0;
+        let bestIndex = -1;
+        words.forEach((word, idx) => {
+            const wordScore = matchWord(token, word);
+            if (wordScore > best) {
+                best = wordScore;
+                bestIndex = idx;
+            }
+        });
+        if (!best) return 0;
+
+        // Words typed in the same order as the name rank higher, next to each other higher still
+        score += best + (bestIndex > lastIndex ? 1 : 0) + (bestIndex === lastIndex + 1 ? 1 : 0);
+        lastIndex = bestIndex;
+    }
+    return score;
+}
+
+// stations: [{ code, name }], boosts: Map of code -> bonus for favourite and
+// recent stations. An empty query lists boosted stations first.
+function rankStations(query, stations, boosts = new Map()) {
+    const tokens = normalizeText(query).split(" ").filter(Boolean);
+
+    return stations
+        .map((station, idx) => ({
+            station,
+            idx,
+            score: tokens.length ? scoreStation(tokens, station) : 1
+        }))
+        .filter(entry => entry.score > 0)
+        .map(entry => ({ ...entry, score: entry.score + (boosts.get(entry.station.code) || 0) }))
+        .sort((a, b) => b.score - a.score || a.idx - b.idx)
+        .map(entry => entry.station);
+}
+
+/* =======================
+   TAG GAME GENERATOR
+======================= */
+// Seeded random numbers (mulberry32), so a round can be replayed from its seed
+function createRng(seed) {
+    let h = 1779033703 ^ String(seed).length;
+    for (const ch of String(seed)) {
+        h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+
+    let state = h >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, rng) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// options: { mode: "target" | "pair", start, seed, operators (allowed codes),
+//            minTime, maxTime, minTransfers, maxTransfers, exclude (codes) }
+// In target mode the travel limits apply from `start` to the target, in pair
+// mode from the seeker to the hider. Returns null when nothing fits.
+function generateTagRound(graph, stations, pricing, options) {
+    const search = tagRoundSearch(graph, stations, pricing, options);
+    let step = search.next();
+    while (!step.done) step = search.next();
+    return step.value;
+}
+
+// generateTagRound one station at a time: yields { done, total } after every
+// station the round is searched from, so the page can show progress and stop.
+// Pair mode with limits nothing meets searches from every station.
+function* tagRoundSearch(graph, stations, pricing, options) {
+    const rng = createRng(options.seed);
+    const allowed = options.operators && options.operators.length ? new Set(options.operators) : null;
+    const playable = allowed ? filterGraph(graph, (from, e) => e.walk || allowed.has(e.operator)) : graph;
+    const exclude = new Set(options.exclude || []);
+
+    // Only stations the allowed operators call at
+    const served = new Set();
+    playable.forEach((edges, from) => {
+        edges.forEach(e => {
+            if (!e.walk) {
+                served.add(from);
+                served.add(e.to);
+            }
+        });
+    });
+    const candidates = shuffle(stations.filter(code => served.has(code)).sort(), rng);
+
+    const within = (value, min, max) =>
+        (min === null || min === undefined || value >= min) &&
+        (max === null || max === undefined || value <= max);
+    const fits = journey => journey &&
+        within(journey.time, options.minTime, options.maxTime) &&
+        within(journey.transfers, options.minTransfers, options.maxTransfers);
+
+    // One search from `from` gives the journey findPath would to every station
+    const pickFrom = from => {
+        const reached = from ? findReachable(playable, from, "balanced", pricing) : null;
+        for (const code of candidates) {
+            if (code === from || exclude.has(code)) continue;
+            if (!from) return { station: code, journey: null };
+
+            const journey = reached.get(code);
+            if (fits(journey)) return { station: code, journey };
+        }
+        return null;
+    };
+
+    if (options.mode === "pair") {
+        for (let i = 0; i < candidates.length; i++) {
+            const seeker = candidates[i];
+            const hider = pickFrom(seeker);
+            if (hider) {
+                return { mode: "pair", seed: options.seed, seeker, hider: hider.station, journey: hider.journey };
+            }
+            yield { done: i + 1, total: candidates.length };
+        }
+        return null;
+    }
+
+    const target = pickFrom(options.start || null);
+    return target
+        ? { mode: "target", seed: options.seed, start: options.start || null, target: target.station, journey: target.journey }
+        : null;
+}
+
+/* =======================
+   JOURNEY EXPORT
+   Plain data and text versions of an itinerary, with everything in the
+   order the route cards show it. Used by the page and the command line.
+======================= */
+const OPERATOR_NAMES = Object.fromEntries(Object.entries(OPERATOR_CODES).map(([name, code]) => [code, name]));
+
+// network needs graph, stations and timetable, details can give a title,
+// the mode and the point rates. Clock times are only set for journeys that
+// went through scheduleJourney, and every stop has its running time from
+// the start of its segment.
+function exportJourney(network, journey, pricing, details = {}) {
+    const period = network.timetable ? network.timetable.period : undefined;
+    const clock = minutes => minutes === undefined ? undefined : formatClock(minutes, period);
+    const name = code => network.stations.get(code) || code;
+    const segments = describeSegments(journey, pricing, details.pointRates || {});
+    // A journey from a station to itself has no path
+    const from = journey.path.length ? journey.path[0].from : journey.station;
+
+    return {
+        title: details.title,
+        mode: details.mode,
+        from,
+        fromName: name(from),
+        to: journey.station,
+        toName: name(journey.station),
+        time: journey.time,
+        transfers: journey.transfers,
+        cost: journey.cost,
+        points: segments.reduce((sum, seg) => sum + seg.points, 0),
+        departure: clock(journey.departure),
+        arrival: clock(journey.arrival),
+        segments: segments.map(seg => {
+            const walk = seg.route === WALK_ROUTE;
+            const first = seg.steps[0];
+            let minutes = 0;
+
+            return {
+                route: seg.route,
+                operator: seg.operator,
+                operatorName: walk ? undefined : OPERATOR_NAMES[seg.operator] || seg.operator,
+                equivalents: walk ? [] : findEquivalentRoutes(network.graph, seg),
+                from: seg.from,
+                fromName: name(seg.from),
+                to: seg.to,
+                toName: name(seg.to),
+                stations: seg.stations,
+                stops: [{ code: seg.from, name: name(seg.from), minutes: 0, time: clock(first.departs) }]
+                    .concat(seg.steps.map(step => {
+                        minutes += step.time;
+                        return { code: step.to, name: name(step.to), minutes, time: clock(step.arrives) };
+                    })),
+                time: seg.time,
+                fare: seg.fare,
+                points: seg.points,
+                transfer: first.transfer,
+                transferTime: first.transferTime || 0,
+                wait: first.wait || 0,
+                noTimetable: Boolean(first.noTimetable),
+                departs: clock(first.departs),
+                arrives: clock(seg.steps[seg.steps.length - 1].arrives)
+            };
+        })
+    };
+}
+
+// Short text for pasting into a chat, `markdown` adds bold and bullets
+function formatJourneyText(exported, markdown = false) {
+    const bold = text => markdown ? `**${text}**` : text;
+    const item = text => markdown ? `- ${text}` : `  ${text}`;
+    const station = (code, name) => name && name !== code ? `${name} (${code})` : code;
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? "s" : ""}`;
+    const clock = seg => seg.departs !== undefined ? ` · ${seg.departs}–${seg.arrives}` : "";
+
+    const lines = [
+        bold(`${station(exported.from, exported.fromName)} → ${station(exported.to, exported.toName)}`) +
+            (exported.title || exported.mode ? ` · ${exported.title || exported.mode}` : ""),
+        [
+            `${exported.time} min`,
+            plural(exported.transfers, "transfer"),
+            `cost ${exported.cost}`,
+            `${exported.points} points`,
+            exported.departure !== undefined ? `${exported.departure} → ${exported.arrival}` : ""
+        ].filter(Boolean).join(" · "),
+        ""
+    ];
+
+    exported.segments.forEach(seg => {
+        const stations = `${station(seg.from, seg.fromName)} → ${station(seg.to, seg.toName)}`;
+
+        if (seg.route === WALK_ROUTE) {
+            lines.push(item(`Walk ${stations} · ${seg.time} min${clock(seg)}`));
+            return;
+        }
+
+        if (seg.transfer) {
+            const transfer = `Transfer${seg.transferTime ? ` · ${seg.transferTime} min` : ""}`;
+            lines.push(item(markdown ? `_${transfer}_` : transfer));
+        }
+
+        const route = bold(seg.route) + (seg.equivalents.length ? ` (or ${seg.equivalents.join(", ")})` : "");
+        const wait = seg.noTimetable ? " (no timetable)" : seg.wait ? ` (${seg.wait} min wait)` : "";
+        lines.push(item([
+            stations,
+            `${route} ${seg.operatorName}`,
+            `${seg.time} min, ${plural(seg.stations.length - 1, "stop")}`,
+            `fare ${seg.fare}`,
+            `${seg.points} points`
+        ].join(" · ") + clock(seg) + wait));
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+/* =======================
+   SAVED JOURNEYS
+   A saved journey keeps its search and the hops it rode, so it can be
+   checked again when the data changes:
+     { name, from, to, mode, departure, constraints,
+       path: [{ from, to, route }], time, transfers, cost }
+======================= */
+function saveJourney(name, search, journey, mode) {
+    return {
+        name,
+        from: search.from,
+        to: search.to,
+        mode,
+        departure: search.departure ?? null,
+        constraints: search.constraints,
+        path: journey.path.map(({ from, to, route }) => ({ from, to, route })),
+        time: journey.time,
+        transfers: journey.transfers,
+        cost: journey.cost
+    };
+}
+
+// The saved hops ridden again on the current graph, priced with the current
+// fares, or null when one of them no longer runs
+function replayJourney(graph, path, pricing) {
+    if (!path.length) return null;
+
+    let label = startLabels(graph, path[0].from).find(l => l.route === path[0].route);
+    for (const step of path) {
+        const edge = findEdge(graph, step);
+        if (!label || !edge) return null;
+        label = extendLabel(label, edge, pricing);
+    }
+    return labelToResult(label);
+}
+
+// status is "ok" while the saved itinerary still runs and is still the
+// best of its mode, "better" when the same search now finds a better one,
+// and "gone" when one of its hops no longer runs
+function checkSavedJourney(graph, saved, pricing) {
+    const journey = replayJourney(graph, saved.path, pricing);
+    const best = pickJourney(findJourneys(graph, saved.from, saved.to, pricing, saved.constraints), saved.mode);
+
+    let status = "ok";
+    if (!journey) {
+        status = "gone";
+    } else if (best && itineraryKey(graph, best) !== itineraryKey(graph, journey) &&
+               getSearchMode(saved.mode)(best, journey) < 0) {
+        status = "better";
+    }
+    return { status, journey, best };
+}
+
+/* =======================
+   PROFILE
+   Prices, preferences, station lists and saved journeys as one JSON file,
+   to move them to another browser.
+======================= */
+const PROFILE_VERSION = 1;
+const PALETTES = ["standard", "accessible"];
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === "string");
+}
+
+function normalizeTrainFilter(filter, where) {
+    if (filter === undefined || filter === null) return null;
+    if (typeof filter !== "object") throw new Error(`${where}: trains is not a train filter`);
+    return {
+        name: typeof filter.name === "string" ? filter.name : "",
+        propulsion: ["D", "E"].includes(filter.propulsion) ? filter.propulsion : "",
+        minSize: Number.isFinite(filter.minSize) ? filter.minSize : null,
+        prefer: filter.prefer === true
+    };
+}
+
+function readSavedJourney(saved, idx) {
+    const where = `Saved journey ${idx + 1}`;
+    if (!saved || typeof saved.name !== "string" || typeof saved.from !== "string" || typeof saved.to !== "string") {
+        throw new Error(`${where} needs a name, from and to`);
+    }
+    if (!Array.isArray(saved.path) || !saved.path.length ||
+        !saved.path.every(step => step && ["from", "to", "route"].every(key => typeof step[key] === "string"))) {
+        throw new Error(`${where} has no valid path`);
+    }
+
+    const constraints = saved.constraints || {};
+    const list = key => {
+        if (constraints[key] === undefined) return [];
+        if (!isStringList(constraints[key])) throw new Error(`${where}: ${key} is not a list of codes`);
+        return constraints[key];
+    };
+
+    const read = {
+        via: list("via"),
+        avoidStations: list("avoidStations"),
+        excludeRoutes: list("excludeRoutes"),
+        excludeOperators: list("excludeOperators"),
+        trains: normalizeTrainFilter(constraints.trains, where)
+    };
+    if (constraints.onlyRoutes !== undefined) read.onlyRoutes = list("onlyRoutes");
+
+    return {
+        name: saved.name,
+        from: saved.from,
+        to: saved.to,
+        mode: SEARCH_MODES[saved.mode] ? saved.mode : "balanced",
+        departure: Number.isFinite(saved.departure) ? saved.departure : null,
+        constraints: read,
+        path: saved.path.map(({ from, to, route }) => ({ from, to, route })),
+        time: saved.time,
+        transfers: saved.transfers,
+        cost: saved.cost
+    };
+}
+
+// Checks an imported profile and fills in what is missing, throws an Error
+// saying what is wrong. Stations and routes are not checked against the
+// data: saved journeys are flagged by checkSavedJourney instead.
+function readProfile(profile) {
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+        throw new Error("Not a route finder profile");
+    }
+    if (profile.version !== PROFILE_VERSION) {
+        throw new Error(`Unsupported profile version ${profile.version}`);
+    }
+
+    const prices = profile.prices || {};
+    Object.entries(prices).forEach(([code, price]) => {
+        if (!Number.isFinite(price) || price < 0) throw new Error(`Price for ${code} is not a number of 0 or more`);
+    });
+    ["favourites", "recent"].forEach(key => {
+        if (profile[key] !== undefined && !isStringList(profile[key])) {
+            throw new Error(`${key} is not a list of station codes`);
+        }
+    });
+    if (profile.journeys !== undefined && !Array.isArray(profile.journeys)) {
+        throw new Error("journeys is not a list");
+    }
+
+    return {
+        version: PROFILE_VERSION,
+        prices: { ...prices },
+        mode: SEARCH_MODES[profile.mode] ? profile.mode : "balanced",
+        palette: PALETTES.includes(profile.palette) ? profile.palette : "standard",
+        favourites: profile.favourites || [],
+        recent: profile.recent || [],
+        journeys: (profile.journeys || []).map(readSavedJourney)
+    };
+}
+
+/* =======================
+   NETWORK
+   Everything the site and the command line tools build from the data
+   files. Loading the files is left to the caller (fetch in the browser,
+   fs in Node), DATA_FILES says which ones there are.
+======================= */
+const DATA_FILES = [
+    { key: "segmentsData", file: "segments.json" },
+    { key: "routesData", file: "routes.json" },
+    { key: "stationsData", file: "stations.json" },
+    { key: "trainsData", file: "trains.json" },
+    { key: "interchangesData", file: "interchanges.json" },
+    { key: "faresData", file: "fares.json" },
+    { key: "versionData", file: "version.json" },
+    // Generated by tools/validate-data.js
+    { key: "invalidRoutesData", file: "invalid_routes.json", optional: true },
+    // Without them every train is assumed to be waiting
+    { key: "timetablesData", file: "timetables.json", optional: true },
+    // Without them the network map is hidden
+    { key: "coordinatesData", file: "coordinates.json", optional: true },
+    // Generated by tools/diff-data.js
+    { key: "whatsNewData", file: "whats_new.json", optional: true }
+];
+
+// readJson(file) returns the parsed file or a promise of it, and throws or
+// rejects when the file can't be read. Optional files become null.
+async function loadData(readJson) {
+    const entries = await Promise.all(DATA_FILES.map(async ({ key, file, optional }) => {
+        try {
+            return [key, await readJson(file)];
+        } catch (error) {
+            if (optional) return [key, null];
+            throw error;
+        }
+    }));
+    return Object.fromEntries(entries);
+}
+
+function buildNetwork(data) {
+    const { segmentsData, routesData, stationsData, trainsData, interchangesData, faresData } = data;
+
+    const stations = new Map();
+    stationsData.stations.forEach(station => stations.set(station.code, station.name));
+
+    const routeData = buildRouteData(routesData);
+    const operators = new Set();
+    routeData.forEach(route => operators.add(route.operatorCode));
+
+    const services = buildServices(routesData, segmentsData);
+
+    // Stations that have at least one segment, the ones journeys can use
+    const stationList = new Set();
+    segmentsData.segments.forEach(({ from, to }) => {
+        stationList.add(from);
+        stationList.add(to);
+    });
+
+    return {
+        stations,
+        stationList: [...stationList].sort(),
+        routeData,
+        operators: [...operators].sort(),
+        trains: trainsData.trains,
+        services,
+        stationRoutes: buildStationRoutes(services),
+        graph: buildGraph(segmentsData, routeData, interchangesData),
+        fares: { operators: faresData.operators || {}, points: faresData.points || {} },
+        timetable: data.timetablesData ? buildTimetable(data.timetablesData, routesData, segmentsData) : null,
+        invalidRoutes: data.invalidRoutesData ? data.invalidRoutesData.invalid_routes || {} : {},
+        version: data.versionData || null,
+        coordinates: data.coordinatesData || null,
+        whatsNew: data.whatsNewData || null
+    };
+}
+
+// Fare rules with every operator at its default per stop price
+function defaultPricing(network) {
+    const perStopPrices = {};
+    network.operators.forEach(op => {
+        perStopPrices[op] = defaultPerStopPrice(network.fares, op);
+    });
+    return buildFareRules(network.fares, perStopPrices);
+}
+
+/* =======================
+   TRAIN UTILITIES
+======================= */
+function getCompatibleTrains(routeData, trains, routeId) {
+    const routeInfo = routeData.get(routeId);
+    if (!routeInfo) return [];
+
+    return trains.filter(train => routeInfo.compatibleTrains.includes(train.name));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        OPERATOR_CODES,
+        DEFAULT_OPERATOR_PRICES,
+        TRANSFER_PENALTY,
+        WALK_ROUTE,
+        SEARCH_MODES,
+        PriorityQueue,
+        buildRouteData,
+        buildGraph,
+        buildFareRules,
+        chargeHop,
+        priceJourney,
+        calculatePoints,
+        defaultPerStopPrice,
+        describeSegments,
+        interchangeTime,
+        getSearchMode,
+        searchGraph,
+        labelToResult,
+        startLabels,
+        extendLabel,
+        findEdge,
+        findPath,
+        findEquivalentRoutes,
+        extractSegments,
+        filterGraph,
+        itineraryKey,
+        findAlternativePaths,
+        dominates,
+        findParetoPaths,
+        pickJourney,
+        applyConstraints,
+        joinJourneys,
+        findJourneys,
+        parseClock,
+        formatClock,
+        buildTimetable,
+        hasTimetable,
+        nextDeparture,
+        scheduleJourney,
+        findTimedJourney,
+        matchTrains,
+        findTrainRoutes,
+        findTrainJourney,
+        buildServices,
+        buildStationRoutes,
+        canRunTrain,
+        findDriverRoutes,
+        planDriverShift,
+        findReachable,
+        buildOdMatrix,
+        formatCsv,
+        describeStation,
+        exportJourney,
+        formatJourneyText,
+        saveJourney,
+        replayJourney,
+        checkSavedJourney,
+        PROFILE_VERSION,
+        readProfile,
+        createRng,
+        generateTagRound,
+        tagRoundSearch,
+        rankStations,
+        DATA_FILES,
+        loadData,
+        buildNetwork,
+        defaultPricing,
+        getCompatibleTrains
+    };
+}
@@ -0,0 +1,73 @@
+/* =======================
+   SAFE HTML
+   Shared by the website (loaded before router.js) and the tests
+   (require("./html.js")). Markup is built with the html`` tag: every value
+   put into the template is escaped, unless it is itself markup from html``.
+   Arrays are joined, null, undefined and false render nothing.
+
+     setHtml(el, html`<span data-route="${id}">${name}</span>`);
+
+   setHtml and appendHtml are the only places the page writes innerHTML, a
+   plain string passed to them is escaped like any other value.
+======================= */
+const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+    "`": "&#96;"
+};
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join("");
+    if (value === null || value === undefined || value === false) return "";
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, idx) => {
+        markup += renderHtmlValue(value) + strings[idx + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// Like Array.join for markup, the separator is escaped
+function joinHtml(values, separator = "") {
+    return new SafeHtml(values.map(renderHtmlValue).join(escapeHtml(separator)));
+}
+
+function setHtml(element, value) {
+    element.innerHTML = renderHtmlValue(value);
+}
+
+function appendHtml(element, value) {
+    element.insertAdjacentHTML("beforeend", renderHtmlValue(value));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        SafeHtml,
+        escapeHtml,
+        html,
+        joinHtml,
+        setHtml,
+        appendHtml
+    };
+}
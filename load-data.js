@@ -0,0 +1,26 @@
+/* =======================
+   DATA LOADING
+   Reads the data files the site loads from a directory, for the Node
+   tools, the tests and scripts (require("./load-data.js")). The browser
+   fetches them in router.js instead.
+======================= */
+const fs = require("fs");
+const path = require("path");
+const { DATA_FILES } = require("./engine.js");
+
+// The same files the site loads, optional ones are null when missing
+function loadDataFiles(dir) {
+    const data = {};
+    DATA_FILES.forEach(({ key, file, optional }) => {
+        const filePath = path.join(dir, file);
+        if (!fs.existsSync(filePath)) {
+            if (!optional) throw new Error(`${filePath} not found`);
+            data[key] = null;
+            return;
+        }
+        data[key] = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    });
+    return data;
+}
+
+module.exports = { loadDataFiles };
@@ -1,22 +1,7 @@
 /* =======================
    CONFIGURATION
 ======================= */
-const OPERATOR_CODES = {
-    "Stepford Connect": "CN",
-    "Metro": "MT",
-    "Waterline": "WL",
-    "AirLink": "AL",
-    "Stepford Express": "EX"
-};
-
-const DEFAULT_OPERATOR_PRICES = {
-    "CN": 5,
-    "MT": 3,
-    "WL": 7,
-    "AL": 10,
-    "EX": 15
-};
-
+// OPERATOR_CODES and DEFAULT_OPERATOR_PRICES live in engine.js
 const OPERATOR_COLORS = {
     "CN": '#0096EE',
     "MT": '#EE4044',
@@ -25,6 +10,34 @@ const OPERATOR_COLORS = {
     "EX": '#FF0080'
 };
 
+// Extra itineraries listed under a route card on "Show more alternatives"
+const ALTERNATIVE_COUNT = 4;
+
+// Tag game picks remembered so the next rounds land somewhere new
+const TAG_HISTORY_SIZE = 10;
+// Tag rounds are searched in slices of this many ms, so the page keeps responding
+const TAG_SLICE_MS = 50;
+
+// Station picker: recent stations kept, suggestions shown at once
+const RECENT_STATION_COUNT = 8;
+const STATION_PICKER_LIMIT = 40;
+
+// Reachability explorer time bands in minutes, one more color than bands for the rest
+const REACH_BANDS = [5, 10, 15, 20, 30];
+const REACH_BAND_COLORS = ['#38a169', '#68d391', '#ecc94b', '#ed8936', '#e53e3e', '#9b2c2c'];
+
+// Color-blind safe palette, picked with the switch in the header. The
+// operators stay apart with any color blindness and keep white text above
+// 5:1 contrast, the time bands run along a single light to dark scale.
+const ACCESSIBLE_OPERATOR_COLORS = {
+    "CN": '#0060A8',
+    "MT": '#B34700',
+    "WL": '#00755A',
+    "AL": '#222222',
+    "EX": '#9E2F7F'
+};
+const ACCESSIBLE_REACH_BAND_COLORS = ['#fde725', '#7ad151', '#22a884', '#2a788e', '#414487', '#440154'];
+
 /* ======================
    DATA STRUCTURES
 ======================= */
@@ -32,160 +45,304 @@ let GRAPH = new Map();
 let ROUTE_DATA = new Map();
 let STATION_DATA = new Map();
 let TRAIN_DATA = [];
+let SERVICES = [];
+let STATION_ROUTES = new Map();
 let OPERATORS = new Set();
 let INVALID_ROUTES = {};
+let TIMETABLE = null;
+let FARES = { operators: {}, points: {} };
+let STATION_LIST = [];
+let LAST_SEARCH = null;
+let LAST_JOURNEYS = [];
+let JOURNEY_SORT = { key: "time", dir: 1 };
+let TAG_HISTORY = [];
+let TAG_SEARCH = null;
+let SAVED_CHECKS = { key: null, checks: new Map() };
+let SAVED_CHECK_JOB = null;
+let DATA_VERSION = null;
+let MAP_PICKER = null;
+let COORDINATES = null;
+let MAP_PICK_CALLBACK = null;
+let REACH = null;
+let REACH_SORT = { key: "time", dir: 1 };
+let EXPORT_JOURNEYS = new Map();
+let WHATS_NEW = null;
+let PALETTE = "standard";
+
+/* =======================
+   COLOR PALETTE
+   Operator and time band colors are CSS variables (--operator-CN,
+   --reach-0, ...), so switching palettes recolors everything on the page
+   without drawing it again. Markup gets them from operatorColor() and
+   reachColor().
+======================= */
+function operatorColor(code) {
+    return Object.hasOwn(OPERATOR_COLORS, code) ? `var(--operator-${code})` : '#667eea';
+}
+
+function reachColor(band) {
+    return `var(--reach-${band})`;
+}
+
+function applyPalette(name) {
+    PALETTE = name === "accessible" ? "accessible" : "standard";
+    const accessible = PALETTE === "accessible";
+    const root = document.documentElement.style;
+
+    Object.entries(accessible ? ACCESSIBLE_OPERATOR_COLORS : OPERATOR_COLORS)
+        .forEach(([code, color]) => root.setProperty(`--operator-${code}`, color));
+    (accessible ? ACCESSIBLE_REACH_BAND_COLORS : REACH_BAND_COLORS)
+        .forEach((color, band) => root.setProperty(`--reach-${band}`, color));
+
+    document.getElementById("palette-toggle").checked = accessible;
+}
+
+// A saved choice wins, otherwise follow the system's high contrast setting
+function loadPalette() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem("scr-palette");
+    } catch (err) {
+        // Storage blocked, use the default
+    }
+    const prefersContrast = window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches;
+    applyPalette(saved || (prefersContrast ? "accessible" : "standard"));
+}
+
+function setPalette(name) {
+    applyPalette(name);
+    try {
+        localStorage.setItem("scr-palette", PALETTE);
+    } catch (err) {
+        // Private mode or storage full, the choice just won't be kept
+    }
+}
+
+loadPalette();
+document.getElementById("palette-toggle").addEventListener("change", e => {
+    setPalette(e.target.checked ? "accessible" : "standard");
+});
 
 /* =======================
    LOAD ALL DATA
 ======================= */
 async function loadAllData() {
     try {
-        const [segmentsRes, routesRes, stationsRes, trainsRes, invalidRoutesRes] = await Promise.all([
-            fetch("segments.json"),
-            fetch("routes.json"),
-            fetch("stations.json"),
-            fetch("trains.json"),
-            fetch("invalid_routes.json")
-        ]);
-
-        const [segmentsData, routesData, stationsData, trainsData, invalidRoutesData] = await Promise.all([
-            segmentsRes.json(),
-            routesRes.json(),
-            stationsRes.json(),
-            trainsRes.json(),
-            invalidRoutesRes.json()
-        ]);
-
-        return { segmentsData, routesData, stationsData, trainsData, invalidRoutesData };
+        return await loadData(file => fetch(file).then(res => {
+            if (!res.ok) throw new Error(`${file}: ${res.status} ${res.statusText}`);
+            return res.json();
+        }));
     } catch (error) {
         console.error("Error loading data files:", error);
         throw error;
     }
 }
 
-function processData({ segmentsData, routesData, stationsData, trainsData, invalidRoutesData }) {
-    // Process stations
-    stationsData.stations.forEach(station => {
-        STATION_DATA.set(station.code, station.name);
-    });
+// The network is built in engine.js, the page keeps it in globals
+function processData(data) {
+    const network = buildNetwork(data);
+
+    DATA_VERSION = network.version;
+    COORDINATES = network.coordinates;
+    WHATS_NEW = network.whatsNew;
+    STATION_DATA = network.stations;
+    ROUTE_DATA = network.routeData;
+    OPERATORS = new Set(network.operators);
+    INVALID_ROUTES = network.invalidRoutes;
+    TRAIN_DATA = network.trains;
+    SERVICES = network.services;
+    STATION_ROUTES = network.stationRoutes;
+    GRAPH = network.graph;
+    FARES = network.fares;
+    TIMETABLE = network.timetable;
 
-    // Process routes
-    routesData.routes.forEach(route => {
-        const operatorCode = OPERATOR_CODES[route.operator] || route.operator;
-        ROUTE_DATA.set(route.name, {
-            operator: route.operator,
-            operatorCode: operatorCode,
-            compatibleTrains: route.compatible_trains
-        });
-        OPERATORS.add(operatorCode);
-    });
+    return {
+        stations: network.stationList,
+        operators: network.operators
+    };
+}
 
-    //Process invalid routes
-    INVALID_ROUTES = invalidRoutesData.invalid_routes || {};
+/* =======================
+   WHAT'S NEW
+   whats_new.json is written by tools/diff-data.js, and only shown while it
+   describes the data version that is loaded
+======================= */
+function renderWhatsNew() {
+    const card = document.getElementById("whats-new-card");
+    if (!WHATS_NEW || !DATA_VERSION || WHATS_NEW.to_version !== DATA_VERSION.data_version) {
+        card.classList.add("hidden");
+        return;
+    }
 
-    // Process trains
-    TRAIN_DATA = trainsData.trains;
+    const { stations, routes, segments, trains, journeys } = WHATS_NEW;
+    const list = (title, items) => items.length ? html`
+        <div class="whats-new-section">
+            <h4>${title}</h4>
+            <ul>${items.map(item => html`<li>${item}</li>`)}</ul>
+        </div>` : "";
+    const stops = (before, after) => {
+        const added = after.filter(code => !before.includes(code));
+        const removed = before.filter(code => !after.includes(code));
+        const changes = [
+            added.length ? html`now calls at ${joinHtml(added.map(stationLink), ", ")}` : "",
+            removed.length ? html`no longer calls at ${removed.join(", ")}` : ""
+        ].filter(Boolean);
+        return changes.length ? joinHtml(changes, ", ") : "stops in a new order";
+    };
 
-    // Build graph from segments
-    const graph = new Map();
-    const stations = new Set();
+    const routeLines = [
+        ...routes.added.map(r => `Added ${r.route} (${r.operator})`),
+        ...routes.removed.map(r => `Removed ${r.route} (${r.operator})`),
+        ...routes.changed.flatMap(change => [
+            change.operator ? `${change.route} now run by ${change.operator.after} instead of ${change.operator.before}` : "",
+            change.stations_forward ? html`${change.route} forward: ${stops(change.stations_forward.before, change.stations_forward.after)}` : "",
+            change.stations_reverse ? html`${change.route} reverse: ${stops(change.stations_reverse.before, change.stations_reverse.after)}` : "",
+            change.trains_added ? `${change.route} trains added: ${change.trains_added.join(", ")}` : "",
+            change.trains_removed ? `${change.route} trains dropped: ${change.trains_removed.join(", ")}` : ""
+        ].filter(Boolean))
+    ];
+
+    const journeyRows = journeys.changed.map(j => html`
+        <tr>
+            <td>${stationLink(j.from)} → ${stationLink(j.to)}</td>
+            <td>${j.mode}</td>
+            <td>${j.before}</td>
+            <td>${j.after}</td>
+        </tr>`);
+
+    document.getElementById("whats-new-title").textContent =
+        `🆕 What's new in data version ${WHATS_NEW.to_version}${WHATS_NEW.from_version ? ` (since ${WHATS_NEW.from_version})` : ""}`;
+    setHtml(document.getElementById("whats-new"), html`
+        ${list("Stations", [
+            ...stations.added.map(s => html`Added ${stationLink(s.code)}`),
+            ...stations.removed.map(s => `Removed ${s.code} ${s.name}`),
+            ...stations.renamed.map(s => html`${stationLink(s.code)} renamed from ${s.before} to ${s.after}`)
+        ])}
+        ${list("Routes", routeLines)}
+        ${list("Segment times", [
+            ...segments.changed.map(s => `${s.route} ${s.from} → ${s.to}: ${s.before} → ${s.after} min`),
+            ...segments.added.map(s => `${s.route} ${s.from} → ${s.to}: new, ${s.minutes} min`),
+            ...segments.removed.map(s => `${s.route} ${s.from} → ${s.to}: removed`)
+        ])}
+        ${list("Trains", [
+            ...trains.added.map(name => `Added ${name}`),
+            ...trains.removed.map(name => `Removed ${name}`),
+            ...trains.changed.map(({ name, ...fields }) =>
+                `${name}: ${Object.entries(fields).map(([field, { before, after }]) => `${field} ${before} → ${after}`).join(", ")}`)
+        ])}
+        <div class="whats-new-section">
+            <h4>Journeys</h4>
+            <p>${journeys.changed.length} of ${journeys.sampled} sampled journeys changed.</p>
+            ${journeyRows.length ? html`
+            <table class="journey-table">
+                <thead><tr><th>Journey</th><th>Mode</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>${journeyRows}</tbody>
+            </table>` : ""}
+        </div>
+    `);
+    card.classList.remove("hidden");
+}
 
-    segmentsData.segments.forEach(segment => {
-        const { from, to, routes } = segment;
-        
-        stations.add(from);
-        stations.add(to);
+/* =======================
+   DIALOGS
+   The route, station and data warning popups. A dialog takes the focus,
+   keeps Tab inside itself and closes on Escape, its close button or a click
+   outside it, then gives the focus back to whatever opened it.
+======================= */
+const DIALOG_FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
 
-        routes.forEach(routeInfo => {
-            const { route: routeId, duration_minutes: time } = routeInfo;
-            
-            // Get operator from route data
-            const routeDetails = ROUTE_DATA.get(routeId);
-            const operatorCode = routeDetails ? routeDetails.operatorCode : "Unknown";
+// Dialog id -> { opener, onClose } of the dialogs on the page
+const OPEN_DIALOGS = new Map();
 
-            // Add edge to graph
-            if (!graph.has(from)) {
-                graph.set(from, []);
-            }
-            graph.get(from).push({
-                to,
-                route: routeId,
-                operator: operatorCode,
-                time
-            });
-        });
+// Opening a dialog over one with the same id replaces it, and the focus
+// later goes back to what opened the first one
+function openDialog(id, label, onClose) {
+    const replaced = OPEN_DIALOGS.get(id);
+    const existing = document.getElementById(id);
+    if (existing) existing.remove();
+    OPEN_DIALOGS.set(id, { opener: replaced ? replaced.opener : document.activeElement, onClose });
+
+    const container = document.createElement("div");
+    container.id = id;
+    container.className = "dialog-backdrop";
+    container.addEventListener("click", e => {
+        if (e.target === container) closeDialog(id);
     });
 
-    GRAPH = graph;
+    const content = document.createElement("div");
+    content.className = "dialog";
+    content.tabIndex = -1;
+    content.setAttribute("role", "dialog");
+    content.setAttribute("aria-modal", "true");
+    content.setAttribute("aria-label", label);
+    content.addEventListener("keydown", e => handleDialogKey(e, id, content));
 
-    return {
-        stations: [...stations].sort(),
-        operators: [...OPERATORS].sort()
-    };
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "dialog-close";
+    closeBtn.textContent = "✕";
+    closeBtn.setAttribute("aria-label", "Close");
+    closeBtn.addEventListener("click", e => {
+        e.stopPropagation();
+        closeDialog(id);
+    });
+
+    content.appendChild(closeBtn);
+    container.appendChild(content);
+    document.body.appendChild(container);
+    content.focus();
+    return { container, content };
 }
 
-/* =======================
-   PRIORITY QUEUE
-======================= */
-class PriorityQueue {
-    constructor(compare) {
-        this.data = [];
-        this.compare = compare;
-    }
-    push(x) {
-        this.data.push(x);
-        this.data.sort(this.compare);
-    }
-    pop() {
-        return this.data.shift();
+function handleDialogKey(e, id, content) {
+    if (e.key === "Escape") {
+        e.preventDefault();
+        closeDialog(id);
+        return;
     }
-    get size() {
-        return this.data.length;
+    if (e.key !== "Tab") return;
+
+    const focusable = [...content.querySelectorAll(DIALOG_FOCUSABLE)]
+        .filter(el => !el.disabled && !el.closest(".hidden"));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === content)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
     }
 }
 
+// notify is false when the page closes the dialog itself, for example
+// while restoring the state of a link
+function closeDialog(id, notify = true) {
+    const container = document.getElementById(id);
+    if (container) container.remove();
+
+    const dialog = OPEN_DIALOGS.get(id);
+    if (!dialog) return;
+    OPEN_DIALOGS.delete(id);
+
+    if (dialog.opener && dialog.opener.isConnected) dialog.opener.focus();
+    if (notify && dialog.onClose) dialog.onClose();
+}
+
 /* =======================
    INVALID ROUTES
 ======================= */
 function showInvalidRoutesWarning() {
-    let existing = document.getElementById("invalid-routes-popup");
-    if (existing) {
-        existing.remove();
+    if (document.getElementById("invalid-routes-popup")) {
+        closeDialog("invalid-routes-popup");
         return;
     }
 
-    const container = document.createElement("div");
-    container.id = "invalid-routes-popup";
-    container.style.cssText = `
-        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
-        background: rgba(0, 0, 0, 0.5); display: flex; align-items: center;
-        justify-content: center; z-index: 10000; padding: 2rem;
-        backdrop-filter: blur(4px);
-    `;
-
-    container.addEventListener("click", (e) => {
-        if (e.target === container) container.remove();
-    });
-
-    const content = document.createElement("div");
-    content.style.cssText = `
-        background: white; border-radius: 16px; padding: 2rem;
-        max-width: 700px; max-height: 80vh; overflow-y: auto;
-        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3); position: relative;
-    `;
-
-    const closeBtn = document.createElement("button");
-    closeBtn.innerHTML = "✕";
-    closeBtn.style.cssText = `
-        position: absolute; top: 1rem; right: 1rem; background: #f7fafc;
-        border: 2px solid #e2e8f0; border-radius: 50%; width: 2.5rem;
-        height: 2.5rem; cursor: pointer; font-size: 1.5rem;
-    `;
-    closeBtn.onclick = () => container.remove();
-    content.appendChild(closeBtn);
+    const { content } = openDialog("invalid-routes-popup", "Data warning");
 
     const header = document.createElement("div");
-    header.innerHTML = `
+    setHtml(header, html`
         <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem;">
             <span style="font-size: 2rem;">⚠️</span>
             <h2 style="margin: 0; font-size: 1.75rem;">Data Warning</h2>
@@ -193,7 +350,7 @@ function showInvalidRoutesWarning() {
         <p style="margin: 0; color: #718096;">
             These routes have been identified to have wrong data. This may be due to data being absent on the Fandom wiki.
         </p>
-    `;
+    `);
     content.appendChild(header);
 
     const count = Object.keys(INVALID_ROUTES).length;
@@ -213,162 +370,35 @@ function showInvalidRoutesWarning() {
             background: #fff7ed; border: 2px solid #fdba74; border-radius: 8px;
             padding: 1rem; margin-bottom: 0.75rem;
         `;
-        card.innerHTML = `
+        setHtml(card, html`
             <div style="font-weight: 700; color: #92400e; margin-bottom: 0.5rem;">${routeId}</div>
-            ${errors.map(e => `<div style="font-size: 0.85rem; color: #78350f; padding-left: 1rem;">• ${e}</div>`).join('')}
-        `;
+            ${errors.map(e => html`<div style="font-size: 0.85rem; color: #78350f; padding-left: 1rem;">• ${e}</div>`)}
+        `);
         routesList.appendChild(card);
     }
     content.appendChild(routesList);
-    container.appendChild(content);
-    document.body.appendChild(container);
-}
-
-/* =======================
-   PATHFINDING
-======================= */
-function findPath(graph, from, to, mode, pricing) {
-    const TRANSFER_PENALTY = 5;
-
-    const pq = new PriorityQueue((a, b) => {
-        if (mode === "direct") {
-            if (a.transfers !== b.transfers)
-                return a.transfers - b.transfers;
-            return a.time - b.time;
-        }
-        if (mode === "cheap") {
-            if (a.cost !== b.cost) return a.cost - b.cost;
-            return a.time - b.time;
-        }
-        // Balanced mode: compare combined score
-        const scoreA = a.time + (a.transfers * TRANSFER_PENALTY);
-        const scoreB = b.time + (b.transfers * TRANSFER_PENALTY);
-        return scoreA - scoreB;
-    });
-
-    const best = new Map();
-
-    for (const e of graph.get(from) || []) {
-        const s = {
-            station: from,
-            route: e.route,
-            operator: e.operator,
-            time: 0,
-            transfers: 0,
-            cost: 0,
-            path: []
-        };
-        best.set(from + "|" + e.route, s);
-        pq.push(s);
-    }
-
-    while (pq.size) {
-        const cur = pq.pop();
-        if (cur.station === to) return cur;
-
-        for (const e of graph.get(cur.station) || []) {
-            const transfer = cur.route && e.route !== cur.route;
-            const next = {
-                station: e.to,
-                route: e.route,
-                operator: e.operator,
-                time: cur.time + e.time,
-                transfers: cur.transfers + (transfer ? 1 : 0),
-                cost: cur.cost + (pricing[e.operator] || 0),
-                path: cur.path.concat({
-                    from: cur.station,
-                    to: e.to,
-                    route: e.route,
-                    operator: e.operator,
-                    time: e.time,
-                    transfer
-                })
-            };
-
-            const key = e.to + "|" + e.route;
-            const prev = best.get(key);
-
-            let better = false;
-            if (!prev) {
-                better = true;
-            } else if (mode === "direct") {
-                better = next.transfers < prev.transfers ||
-                         (next.transfers === prev.transfers && next.time < prev.time);
-            } else if (mode === "cheap") {
-                better = next.cost < prev.cost ||
-                         (next.cost === prev.cost && next.time < prev.time);
-            } else {
-                // Balanced mode
-                const nextScore = next.time + (next.transfers * TRANSFER_PENALTY);
-                const prevScore = prev.time + (prev.transfers * TRANSFER_PENALTY);
-                better = nextScore < prevScore;
-            }
-
-            if (better) {
-                best.set(key, next);
-                pq.push(next);
-            }
-        }
-    }
-    return null;
 }
 
 /* =======================
    ROUTE UTILITIES
 ======================= */
 function findEquivalentRoutesForSegment(segment) {
-    const result = [];
-
-    // Check which routes serve this exact segment
-    for (const edge of GRAPH.get(segment.from) || []) {
-        if (edge.to === segment.to && 
-            edge.operator === segment.operator && 
-            edge.route !== segment.route) {
-            result.push(edge.route);
-        }
-    }
-
-    return result;
+    return findEquivalentRoutes(GRAPH, segment);
 }
 
-function extractSegments(path) {
-    const segments = [];
-    let current = null;
-
-    for (const step of path) {
-        if (!current || step.transfer) {
-            if (current) segments.push(current);
-            current = {
-                route: step.route,
-                operator: step.operator,
-                from: step.from,
-                to: step.to,
-                stations: [step.from, step.to],
-                steps: [step],
-                time: step.time
-            };
-        } else {
-            current.to = step.to;
-            current.stations.push(step.to);
-            current.steps.push(step);
-            current.time += step.time;
-        }
-    }
-
-    if (current) segments.push(current);
-    return segments;
+// A button that opens the route's details. The operator code is written on
+// the badge as well as shown by its color.
+function routeBadge(routeId) {
+    const info = ROUTE_DATA.get(routeId);
+    const code = info ? info.operatorCode : "";
+    return html`<button type="button" class="operator-badge operator-${code}" style="background: ${operatorColor(code)}; color: white;" data-route="${routeId}" aria-label="Route ${routeId}, ${info ? info.operator : "unknown operator"}">${routeId}<span class="badge-operator">${code}</span></button>`;
 }
 
 /* =======================
    TRAIN UTILITIES
 ======================= */
 function getCompatibleTrainsForRoute(routeId) {
-    const routeInfo = ROUTE_DATA.get(routeId);
-    if (!routeInfo) return [];
-
-    return TRAIN_DATA.filter(train => 
-        routeInfo.compatibleTrains.includes(train.name)
-    );
+    return getCompatibleTrains(ROUTE_DATA, TRAIN_DATA, routeId);
 }
 
 /* =======================
@@ -379,6 +409,8 @@ async function initialize() {
         const data = await loadAllData();
         const { stations, operators } = processData(data);
 
+        document.getElementById("version-badge").textContent = `Version ${DATA_VERSION.data_version}`;
+
         // Populate station dropdowns
         const fromSelect = document.getElementById("from");
         const toSelect = document.getElementById("to");
@@ -389,25 +421,85 @@ async function initialize() {
             fromSelect.add(new Option(displayName, code));
             toSelect.add(new Option(displayName, code));
         });
+        STATION_LIST = stations;
+
+        // Populate driver planner and the train filter
+        const trainSelect = document.getElementById("driver-train");
+        const trainNames = document.getElementById("train-names");
+        TRAIN_DATA.forEach(train => {
+            trainSelect.add(new Option(`${train.name} (${train.operator})`, train.name));
+            trainNames.appendChild(new Option(train.name));
+        });
+        ["driver-start", "driver-depot"].forEach(id => {
+            const select = document.getElementById(id);
+            stations.forEach(code => {
+                const name = STATION_DATA.get(code);
+                select.add(new Option(name ? `${code} - ${name}` : code, code));
+            });
+        });
+
+        // Populate tag game and reachability explorer
+        ["tag-start", "reach-from"].forEach(id => {
+            const select = document.getElementById(id);
+            stations.forEach(code => {
+                const name = STATION_DATA.get(code);
+                select.add(new Option(name ? `${code} - ${name}` : code, code));
+            });
+        });
+
+        drawNetworkMap();
+        renderWhatsNew();
+
+        ["from", "to", "driver-start", "driver-depot", "tag-start", "reach-from"].forEach(id => {
+            attachStationPicker(document.getElementById(id));
+        });
+
+        if (!TIMETABLE) {
+            document.getElementById("departure-group").classList.add("hidden");
+        }
 
         // Setup operator pricing
         const pricingDiv = document.getElementById("pricing");
         operators.forEach(op => {
-            const defaultPrice = DEFAULT_OPERATOR_PRICES[op] ?? 10;
-            const color = OPERATOR_COLORS[op] || '#667eea';
+            const rule = FARES.operators[op] || {};
+            const defaultPrice = defaultPerStopPrice(FARES, op);
+            const color = operatorColor(op);
+            const notes = [
+                rule.boarding ? `+${rule.boarding} boarding` : "",
+                typeof rule.cap === "number" ? `cap ${rule.cap}` : "",
+                rule.free_transfer ? "free transfer" : ""
+            ].filter(Boolean).join(", ");
             
-            pricingDiv.innerHTML += `
+            appendHtml(pricingDiv, html`
                 <div class="pricing-item">
-                    <label class="operator-badge operator-${op}" style="background: ${color}; color: white;">${op}</label>
+                    <label class="operator-badge operator-${op}" for="price_${op}" style="background: ${color}; color: white;">${op}</label>
                     <input
                         type="number"
                         id="price_${op}"
                         data-operator="${op}"
+                        data-default="${defaultPrice}"
                         value="${defaultPrice}"
                         min="0"
                     >
+                    ${notes ? html`<span class="pricing-note">${notes}</span>` : ""}
                 </div>
+            `);
+        });
+
+        // Setup operator exclusions and tag game operators
+        const excludeDiv = document.getElementById("exclude-operators");
+        const tagOperatorsDiv = document.getElementById("tag-operators");
+        operators.forEach(op => {
+            const color = operatorColor(op);
+
+            const checkbox = html`
+                <label class="operator-checkbox">
+                    <input type="checkbox" data-operator="${op}">
+                    <span class="operator-badge operator-${op}" style="background: ${color}; color: white;">${op}</span>
+                </label>
             `;
+            appendHtml(tagOperatorsDiv, checkbox);
+            appendHtml(excludeDiv, checkbox);
         });
 
         // Add warning icon (top left)
@@ -421,24 +513,34 @@ async function initialize() {
                 cursor: pointer; font-size: 1.5rem; z-index: 9999;
                 box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
             `;
-            warningBtn.innerHTML = '⚠️';
+            warningBtn.textContent = '⚠️';
             warningBtn.title = `${invalidRouteCount} route${invalidRouteCount !== 1 ? 's' : ''} with data issues`;
+            warningBtn.setAttribute("aria-label", warningBtn.title);
+            warningBtn.setAttribute("aria-haspopup", "dialog");
             warningBtn.onclick = showInvalidRoutesWarning;
             document.body.appendChild(warningBtn);
         }
 
+        document.getElementById("preferred-mode").value = preferredMode();
+        document.getElementById("reach-mode").value = preferredMode();
+
+        // Reopen the search from a shared link
+        applyUrlState(new URLSearchParams(location.search));
+        window.addEventListener("popstate", () => applyUrlState(new URLSearchParams(location.search)));
+        renderSavedJourneys();
+
         console.log(`Loaded ${stations.length} stations, ${operators.length} operators, ${ROUTE_DATA.size} routes, ${TRAIN_DATA.length} trains`);
 
     } catch (err) {
-        document.body.innerHTML = `
+        setHtml(document.body, html`
             <div class="container">
                 <div class="card">
                     <h2 style="color: #e74c3c;">❌ Failed to load data files</h2>
-                    <p>Make sure segments.json, routes.json, stations.json, and trains.json are in the same directory.</p>
+                    <p>Make sure segments.json, routes.json, stations.json, trains.json, interchanges.json, fares.json, and version.json are in the same directory.</p>
                     <p style="color: #999; font-size: 0.9rem;">${err.message}</p>
                 </div>
             </div>
-        `;
+        `);
         console.error(err);
     }
 }
@@ -446,10 +548,125 @@ async function initialize() {
 // Initialize on page load
 initialize();
 
+/* =======================
+   OFFLINE SUPPORT
+   sw.js keeps the page and data files cached. New data is only
+   swapped in once the user accepts the notice.
+======================= */
+if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("sw.js").catch(err => console.warn("Service worker not registered:", err));
+
+    navigator.serviceWorker.addEventListener("message", e => {
+        if (e.data.type === "data-update") {
+            showDataUpdateNotice(e.data.latest);
+        } else if (e.data.type === "data-refreshed") {
+            location.reload();
+        } else if (e.data.type === "data-refresh-failed") {
+            const notice = document.getElementById("update-notice");
+            if (notice) notice.querySelector("span").textContent = "⚠️ The new data could not be downloaded, the current data is kept";
+        }
+    });
+}
+
+function showDataUpdateNotice(version) {
+    if (document.getElementById("update-notice")) return;
+
+    const notice = document.createElement("div");
+    notice.id = "update-notice";
+    notice.className = "update-notice";
+    setHtml(notice, html`
+        <span>📦 New data version available (${version})</span>
+        <button type="button" class="btn-update">Update</button>
+        <button type="button" class="btn-dismiss" title="Later">✕</button>
+    `);
+
+    notice.querySelector(".btn-update").onclick = async () => {
+        notice.querySelector("span").textContent = "Updating data...";
+        // After a hard reload the page has no controller, the worker is still active
+        const registration = await navigator.serviceWorker.ready;
+        registration.active.postMessage({ type: "refresh-data" });
+    };
+    notice.querySelector(".btn-dismiss").onclick = () => notice.remove();
+
+    document.body.appendChild(notice);
+}
+
+/* =======================
+   PAGE ACTIONS
+   Buttons and toggles name what they do with data-action="..." and carry
+   their arguments in data- attributes. One listener on the document runs
+   them, so neither index.html nor the rendered markup has inline handlers.
+======================= */
+const PAGE_ACTIONS = {
+    "compute": () => compute(),
+    "swap-stations": () => swapStations(),
+    "add-constraint": el => addConstraintRow(el.dataset.list, el.dataset.kind),
+    "toggle-alternatives": el => toggleAlternatives(el, el.closest(".route-card").dataset.mode),
+    "toggle-stops": el => toggleDetails(el),
+    "sort-journeys": el => sortJourneyTable(el.dataset.column),
+    "toggle-journey": el => toggleDetails(el),
+    "copy-journey": el => copyJourney(el.dataset.journey, el),
+    "download-journey": el => downloadJourney(el.dataset.journey, el.dataset.format),
+    "print-driver-sheet": el => printDriverSheet(el.dataset.journey),
+    "save-journey": el => saveCurrentJourney(el.dataset.journey, el),
+    "open-saved-journey": el => openSavedJourney(Number(el.dataset.index)),
+    "delete-saved-journey": el => deleteSavedJourney(Number(el.dataset.index)),
+    "reset-prices": () => resetPrices(),
+    "export-profile": () => exportProfile(),
+    "import-profile": () => document.getElementById("profile-file").click(),
+    "clear-highlight": () => highlightOnMap([]),
+    "explore-reach": () => exploreReach(),
+    "export-od-matrix": () => exportOdMatrix(),
+    "sort-reach": el => sortReachTable(el.dataset.column),
+    "plan-reach": el => planReach(el.dataset.station),
+    "show-driver-routes": () => showDriverRoutes(),
+    "plan-shift": () => planShift(),
+    "generate-tag": () => generateTag(),
+    "clear-tag-history": () => clearTagHistory(),
+    "cancel-tag": () => cancelTagSearch(),
+    "replay-tag": el => replayTagRound(Number(el.dataset.index))
+};
+
+function runPageAction(e) {
+    const target = e.target.closest("[data-action]");
+    const action = target && PAGE_ACTIONS[target.getAttribute("data-action")];
+    if (!action) return false;
+    action(target);
+    return true;
+}
+
+document.addEventListener("click", runPageAction);
+
+// Table headers and rows with an action are focusable, Enter and Space run
+// it like a click does on a button
+document.addEventListener("keydown", e => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    if (e.target.closest("button, a[href], input, select, textarea")) return;
+    if (runPageAction(e)) e.preventDefault();
+});
+
 /* =======================
    UI FUNCTIONS
 ======================= */
-function compute() {
+// Collect pricing from inputs
+function readPricingInputs() {
+    const perStopPrices = {};
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+        const operator = input.getAttribute('data-operator');
+        perStopPrices[operator] = Number(input.value);
+    });
+    return buildFareRules(FARES, perStopPrices);
+}
+
+// The three result cards, the preferred mode's card comes first
+const MODE_CARDS = [
+    { mode: "balanced", title: "Balanced Route", color: "#667eea" },
+    { mode: "direct", title: "Most Direct Route", color: "#2ecc71" },
+    { mode: "cheap", title: "Cheapest Route", color: "#f39c12" }
+];
+
+// pushHistory is false when the search is restored from the URL
+function compute(pushHistory = true) {
     const from = document.getElementById("from").value;
     const to = document.getElementById("to").value;
 
@@ -458,215 +675,1767 @@ function compute() {
         return;
     }
 
-    const pricing = {};
-    
-    // Collect pricing from inputs
-    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
-        const operator = input.getAttribute('data-operator');
-        pricing[operator] = Number(input.value);
-    });
+    const pricing = readPricingInputs();
+    rememberStations([from, to]);
+
+    const constraints = readConstraints();
+    const avoided = [from, to, ...constraints.via].filter(code => constraints.avoidStations.includes(code));
+    if (avoided.length) {
+        alert(`${avoided[0]} is both part of the journey and in the stations to avoid`);
+        return;
+    }
 
     const out = document.getElementById("output");
-    out.innerHTML = "";
+    out.replaceChildren();
+    EXPORT_JOURNEYS.clear();
+
+    const departureInput = document.getElementById("departure").value;
+    const departure = TIMETABLE && departureInput ? parseClock(departureInput) : null;
 
-    render("Balanced Route", findPath(GRAPH, from, to, "balanced", pricing), "#667eea");
-    render("Most Direct Route", findPath(GRAPH, from, to, "direct", pricing), "#2ecc71");
-    render("Cheapest Route", findPath(GRAPH, from, to, "cheap", pricing), "#f39c12");
+    LAST_SEARCH = { from, to, pricing, constraints, departure };
+    renderConstraintSummary(constraints);
+
+    // The three cards are picks from the set of non-dominated journeys
+    LAST_JOURNEYS = findJourneys(GRAPH, from, to, pricing, constraints);
+
+    const preferred = preferredMode();
+    const cards = [...MODE_CARDS].sort((a, b) => (b.mode === preferred) - (a.mode === preferred));
+    cards.forEach(card => render(card.title, pickJourney(LAST_JOURNEYS, card.mode), card.color, card.mode));
+
+    if (departure !== null) {
+        renderTimedJourney(findTimedJourney(GRAPH, TIMETABLE, from, to, departure, pricing, constraints));
+    }
+    if (constraints.trains && constraints.trains.prefer) {
+        const routes = findTrainRoutes(ROUTE_DATA, matchTrains(TRAIN_DATA, constraints.trains));
+        renderTrainJourney(findTrainJourney(GRAPH, from, to, routes, pricing, constraints));
+    }
+
+    if (LAST_JOURNEYS.length) {
+        appendHtml(out, html`<div class="route-card journey-table-card" id="journey-table-card"></div>`);
+        renderJourneyTable();
+    }
+    highlightJourneyOnMap(pickJourney(LAST_JOURNEYS, preferred), cards[0].title);
+
+    if (pushHistory) updateUrl(true);
 }
 
-function render(title, r, color) {
+function render(title, r, color, mode) {
     const out = document.getElementById("output");
 
     if (!r) {
-        out.innerHTML += `
-            <div class="route-card" style="border-left-color: ${color}">
+        appendHtml(out, html`
+            <div class="route-card" style="border-left-color: ${color}" data-mode="${mode}">
                 <h3>${title}</h3>
                 <div class="no-route">No route found</div>
-            </div>`;
+            </div>`);
         return;
     }
 
-    const getDisplayName = code => {
-        const name = STATION_DATA.get(code);
-        return name ? `${code} - ${name}` : code;
-    };
+    // Alternatives are searched point to point, so not offered with via stations
+    const alternatives = LAST_SEARCH.constraints.via.length ? "" : html`
+            <div class="alternatives-container">
+                <button type="button" class="segment-toggle" data-action="toggle-alternatives" aria-expanded="false">
+                    ▼ Show more alternatives
+                </button>
+                <div class="alternatives hidden"></div>
+            </div>`;
 
-    let html = `
-        <div class="route-card" style="border-left-color: ${color}">
+    appendHtml(out, html`
+        <div class="route-card" style="border-left-color: ${color}" data-mode="${mode}">
             <h3>${title}</h3>
+            ${renderItinerary(r, title, title, mode)}
+            ${alternatives}
+        </div>
+    `);
+}
 
-            <div class="route-stats">
-                <div class="stat"><span class="stat-label">⏱️</span>${r.time} min</div>
-                <div class="stat"><span class="stat-label">🔄</span>${r.transfers}</div>
-                <div class="stat"><span class="stat-label">💵</span>${r.cost}</div>
-            </div>
-
-            <div class="route-path">
-    `;
-
-    const segments = extractSegments(r.path);
+// Read out in place of the emoji stats, "12 min, 1 transfer, cost 8"
+function journeySummary(r) {
+    return `${r.time} min, ${r.transfers} transfer${r.transfers !== 1 ? "s" : ""}, cost ${r.cost}`;
+}
 
-    segments.forEach((seg, idx) => {
-        if (idx > 0) {
-            html += `<div class="transfer-badge">Transfer</div>`;
+// Stats and segment list of one itinerary. `key` finds the itinerary again
+// for its export buttons, `title` names it in the exports. Itineraries picked
+// in a search `mode` can be saved.
+function renderItinerary(r, key, title = key, mode = null) {
+    // With a departure time every itinerary shows its clock times
+    if (LAST_SEARCH && LAST_SEARCH.departure !== null && r.departure === undefined) {
+        r = scheduleJourney(TIMETABLE, r, LAST_SEARCH.departure);
+    }
+    EXPORT_JOURNEYS.set(key, { journey: r, title, mode });
+    const clock = minutes => formatClock(minutes, TIMETABLE.period);
+    const scheduled = r.departure !== undefined;
+
+    // Fare and driver points of every segment
+    const segments = describeSegments(r, LAST_SEARCH ? LAST_SEARCH.pricing : {}, FARES.points);
+    const trainFilter = LAST_SEARCH && LAST_SEARCH.constraints.trains;
+    const totalPoints = segments.reduce((sum, seg) => sum + seg.points, 0);
+
+    const steps = segments.map(seg => {
+        if (seg.route === WALK_ROUTE) {
+            return html`
+            <div class="route-step walk-step">
+                <div class="step-details">
+                    <div class="segment-main">
+                        <span class="step-stations">
+                            🚶 Walk ${stationLink(seg.from)} → ${stationLink(seg.to)}
+                        </span>
+                        <span class="step-time">${seg.time} min</span>
+                        ${scheduled ? html`<span class="step-clock">${clock(seg.steps[0].departs)} → ${clock(seg.steps[seg.steps.length - 1].arrives)}</span>` : ""}
+                    </div>
+                </div>
+            </div>
+            `;
         }
-    
-        const stopId = `stops_${title}_${idx}`.replace(/\s+/g, "_");
+
+        // The search marks the changes, so a walk back onto the same route is none
+        const { transferTime } = seg.steps[0];
+        const transfer = seg.steps[0].transfer
+            ? html`<div class="transfer-badge">Transfer${transferTime ? ` • ${transferTime} min` : ""}</div>`
+            : "";
         const equivalents = findEquivalentRoutesForSegment(seg)
             .filter(id => id !== seg.route);
-        
-        const operatorColor = OPERATOR_COLORS[seg.operator] || '#667eea';
-    
-        html += `
+
+        return html`
+            ${transfer}
             <div class="route-step">
                 <div class="step-icon"></div>
                 <div class="step-details">
                     <div class="segment-main">
                         <span class="step-stations">
-                            ${getDisplayName(seg.from)} → ${getDisplayName(seg.to)}
+                            ${stationLink(seg.from)} → ${stationLink(seg.to)}
                         </span>
-                        <span class="operator-badge operator-${seg.operator}" style="background: ${operatorColor}; color: white;" data-route="${seg.route}">${seg.route}</span>
-                        ${equivalents.map(id => `<span class="operator-badge operator-${seg.operator}" style="background: ${operatorColor}; color: white;" data-route="${id}">${id}</span>`).join("")}
+                        ${routeBadge(seg.route)}
+                        ${equivalents.map(routeBadge)}
                         <span class="step-time">${seg.time || ""} min</span>
+                        <span class="step-fare" title="Fare">💵 ${seg.fare}</span>
+                        <span class="step-points" title="Driver EXP/points">⭐ ${seg.points}</span>
+                        ${scheduled ? html`<span class="step-clock">${clock(seg.steps[0].departs)} → ${clock(seg.steps[seg.steps.length - 1].arrives)}${seg.steps[0].noTimetable ? " (no timetable)" : seg.steps[0].wait ? ` (${seg.steps[0].wait} min wait)` : ""}</span>` : ""}
                     </div>
-            
+                    ${trainFilter ? renderMatchingTrains(seg.route, trainFilter) : ""}
+
                     <div class="segment-container">
-                        <div class="segment-toggle"
-                             onclick="document.getElementById('${stopId}').classList.toggle('hidden')">
+                        <button type="button" class="segment-toggle" data-action="toggle-stops" aria-expanded="false">
                              ▼ Show all stops (${seg.stations.length})
-                        </div>
-                        <div id="${stopId}" class="segment-stops hidden">
-                            ${seg.stations.map(s => `<div>${getDisplayName(s)}</div>`).join("")}
+                        </button>
+                        <div class="segment-stops hidden">
+                            ${seg.stations.map(code => html`<div>${stationLink(code)}</div>`)}
                         </div>
                     </div>
                 </div>
             </div>
         `;
     });
-    
-    html += `</div></div>`;
-    out.innerHTML += html;
+
+    return html`
+            <p class="sr-only">${journeySummary(r)}, ${totalPoints} points${scheduled ? `, departs ${clock(r.departure)}, arrives ${clock(r.arrival)}` : ""}</p>
+            <div class="route-stats" aria-hidden="true">
+                <div class="stat"><span class="stat-label">⏱️</span>${r.time} min</div>
+                <div class="stat"><span class="stat-label">🔄</span>${r.transfers}</div>
+                <div class="stat"><span class="stat-label">💵</span>${r.cost}</div>
+                <div class="stat" title="Driver EXP/points"><span class="stat-label">⭐</span>${totalPoints}</div>
+                ${scheduled ? html`<div class="stat"><span class="stat-label">🕒</span>${clock(r.departure)} → ${clock(r.arrival)}</div>` : ""}
+            </div>
+
+            <div class="route-path">
+                ${steps}
+            </div>
+
+            <div class="export-actions">
+                <button type="button" class="btn-export" data-action="copy-journey" data-journey="${key}" title="Copy as Markdown for chat">📋 Copy</button>
+                <button type="button" class="btn-export" data-action="download-journey" data-journey="${key}" data-format="markdown">📝 Text</button>
+                <button type="button" class="btn-export" data-action="print-driver-sheet" data-journey="${key}">🖨️ Driver sheet</button>
+                <button type="button" class="btn-export" data-action="download-journey" data-journey="${key}" data-format="json">{ } JSON</button>
+                ${mode ? html`<button type="button" class="btn-export" data-action="save-journey" data-journey="${key}">⭐ Save</button>` : ""}
+            </div>
+    `;
 }
 
-/* =======================
-   SERVICE MAP POPUP
-======================= */
-document.getElementById("output").addEventListener("click", e => {
-    if (e.target.classList.contains("operator-badge")) {
-        const routeId = e.target.getAttribute("data-route");
-        
-        if (routeId) {
-            showRouteDetails(routeId);
-        }
-        e.stopPropagation();
+// Alternatives are only searched the first time the list is opened. They
+// start from the journey on the card, which is left out of the list.
+function toggleAlternatives(toggle, mode) {
+    const list = toggle.nextElementSibling;
+
+    if (!list.dataset.loaded && LAST_SEARCH) {
+        const { from, to, pricing, constraints } = LAST_SEARCH;
+        const graph = applyConstraints(GRAPH, constraints);
+        const card = pickJourney(LAST_JOURNEYS, mode);
+        const cardKey = card && itineraryKey(graph, card);
+        const alternatives = findAlternativePaths(graph, from, to, mode, pricing, ALTERNATIVE_COUNT + 1, card)
+            .filter(r => itineraryKey(graph, r) !== cardKey)
+            .slice(0, ALTERNATIVE_COUNT);
+
+        setHtml(list, alternatives.length
+            ? alternatives.map((r, idx) => html`
+                <div class="alternative-card">
+                    <h4>Alternative ${idx + 1}</h4>
+                    ${renderItinerary(r, `${mode}_alt_${idx}`, `Alternative ${idx + 1} (${mode})`, mode)}
+                </div>
+            `)
+            : html`<div class="no-route">No other route found</div>`);
+        list.dataset.loaded = "true";
     }
-});
 
-document.addEventListener("click", e => {
-    const popup = document.getElementById("route-details-popup");
-    if (!popup) return;
-    
-    if (e.target.classList.contains("route-details-popup")) {
-        popup.remove();
-    }
-});
+    const open = list.classList.toggle("hidden") === false;
+    toggle.textContent = open ? "▲ Hide alternatives" : "▼ Show more alternatives";
+    toggle.setAttribute("aria-expanded", String(open));
+    updateUrl(false);
+}
 
-function showRouteDetails(routeId) {
-    console.log(`Showing details for route: ${routeId}`);
-    
-    const routeInfo = ROUTE_DATA.get(routeId);
-    if (!routeInfo) {
-        alert("Route not found");
-        return;
-    }
+function renderTimedJourney(r) {
+    const out = document.getElementById("output");
 
-    const operatorColor = OPERATOR_COLORS[routeInfo.operatorCode] || '#667eea';
+    appendHtml(out, html`
+        <div class="route-card timed-card" style="border-left-color: #3182ce">
+            <h3>Earliest Arrival</h3>
+            ${r ? renderItinerary(r, "Earliest Arrival") : html`<div class="no-route">No route found</div>`}
+        </div>
+    `);
+}
 
-    // Remove existing popup
-    let existing = document.getElementById("route-details-popup");
-    if (existing) existing.remove();
+function renderTrainJourney(r) {
+    const out = document.getElementById("output");
 
-    const container = document.createElement("div");
-    container.id = "route-details-popup";
-    container.className = "route-details-popup";
-    container.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
-        padding: 2rem;
-        backdrop-filter: blur(4px);
-    `;
+    appendHtml(out, html`
+        <div class="route-card train-card" style="border-left-color: #805ad5">
+            <h3>Most Time on Matching Trains</h3>
+            ${r ? html`
+                <p class="train-time">🚆 ${r.trainTime} of ${r.time} min on matching trains</p>
+                ${renderItinerary(r, "Most Time on Matching Trains")}
+            ` : html`<div class="no-route">No route found</div>`}
+        </div>
+    `);
+}
 
-    container.addEventListener("click", function(e) {
-        if (e.target === container) {
-            container.remove();
-        }
-    });
+/* =======================
+   JOURNEY EXPORT
+======================= */
+function exportedJourney(key) {
+    const { journey, title } = EXPORT_JOURNEYS.get(key);
+    const network = { graph: GRAPH, stations: STATION_DATA, timetable: TIMETABLE };
+    return exportJourney(network, journey, LAST_SEARCH.pricing, { title, pointRates: FARES.points });
+}
 
-    const content = document.createElement("div");
-    content.style.cssText = `
-        background: white;
-        border-radius: 16px;
-        padding: 2rem;
-        max-width: 800px;
-        max-height: 80vh;
-        overflow-y: auto;
-        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-        position: relative;
-    `;
+function exportFilename(exported, extension) {
+    const title = (exported.title || "journey").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    return `scr-${exported.from}-${exported.to}-${title}.${extension}`;
+}
 
-    const closeBtn = document.createElement("button");
-    closeBtn.innerHTML = "✕";
-    closeBtn.style.cssText = `
-        position: absolute;
-        top: 1rem;
-        right: 1rem;
-        z-index: 10001;
-        background: #f7fafc;
-        border: 2px solid #e2e8f0;
-        border-radius: 50%;
-        width: 2.5rem;
-        height: 2.5rem;
-        cursor: pointer;
-        font-size: 1.5rem;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.2s;
-    `;
-    
-    closeBtn.addEventListener("mouseover", () => {
-        closeBtn.style.background = "#e2e8f0";
+function downloadJourney(key, format) {
+    const exported = exportedJourney(key);
+
+    if (format === "json") {
+        downloadFile(exportFilename(exported, "json"), JSON.stringify(exported, null, 2) + "\n", "application/json");
+    } else {
+        downloadFile(exportFilename(exported, "md"), formatJourneyText(exported, true), "text/markdown");
+    }
+}
+
+// The clipboard API only works on secure pages, elsewhere fall back to
+// copying from a hidden text area
+function copyJourney(key, button) {
+    const text = formatJourneyText(exportedJourney(key), true);
+    const done = copied => {
+        button.textContent = copied ? "✔ Copied" : "✖ Copy failed";
+        setTimeout(() => { button.textContent = "📋 Copy"; }, 1500);
+    };
+
+    if (navigator.clipboard && window.isSecureContext) {
+        navigator.clipboard.writeText(text).then(() => done(true), () => done(false));
+        return;
+    }
+
+    const area = document.createElement("textarea");
+    area.value = text;
+    area.className = "copy-buffer";
+    document.body.appendChild(area);
+    area.select();
+    let copied = false;
+    try {
+        copied = document.execCommand("copy");
+    } catch (error) {
+        copied = false;
+    }
+    area.remove();
+    done(copied);
+}
+
+// One printable page with every stop and its running time, the trains
+// allowed on each route and the transfers in between. The rest of the page
+// is hidden while printing.
+function printDriverSheet(key) {
+    const exported = exportedJourney(key);
+    const scheduled = exported.departure !== undefined;
+
+    let sheet = document.getElementById("print-sheet");
+    if (!sheet) {
+        sheet = document.createElement("div");
+        sheet.id = "print-sheet";
+        document.body.appendChild(sheet);
+    }
+
+    const summary = [
+        exported.title,
+        `${exported.time} min`,
+        `${exported.transfers} transfer${exported.transfers !== 1 ? 's' : ''}`,
+        `cost ${exported.cost}`,
+        `${exported.points} points`,
+        scheduled ? `${exported.departure} → ${exported.arrival}` : ""
+    ].filter(Boolean).join(" · ");
+
+    const segments = exported.segments.map(seg => {
+        if (seg.route === WALK_ROUTE) {
+            return html`<p class="sheet-note">🚶 Walk ${seg.fromName} → ${seg.toName}, ${seg.time} min</p>`;
+        }
+
+        const trains = getCompatibleTrains(ROUTE_DATA, TRAIN_DATA, seg.route).map(t => t.name);
+        const transfer = seg.transfer
+            ? html`<p class="sheet-note">Transfer at ${seg.fromName}${seg.transferTime ? `, ${seg.transferTime} min` : ""}</p>`
+            : "";
+
+        return html`
+            ${transfer}
+            <section class="sheet-segment">
+                <h3>${seg.route} · ${seg.operatorName}${seg.equivalents.length ? ` (or ${seg.equivalents.join(", ")})` : ""}</h3>
+                <p>${seg.time} min · fare ${seg.fare} · ${seg.points} points${seg.wait ? ` · ${seg.wait} min wait` : ""}</p>
+                <p>Trains: ${trains.length ? trains.join(", ") : "none listed"}</p>
+                <table>
+                    <thead>
+                        <tr><th>Stop</th><th>Running time</th>${scheduled ? html`<th>Time</th>` : ""}</tr>
+                    </thead>
+                    <tbody>
+                        ${seg.stops.map(stop => html`
+                            <tr>
+                                <td>${stop.name} (${stop.code})</td>
+                                <td>${stop.minutes} min</td>
+                                ${scheduled ? html`<td>${stop.time}</td>` : ""}
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </section>
+        `;
     });
-    closeBtn.addEventListener("mouseout", () => {
-        closeBtn.style.background = "#f7fafc";
+
+    setHtml(sheet, html`
+        <h2>${exported.fromName} (${exported.from}) → ${exported.toName} (${exported.to})</h2>
+        <p class="sheet-summary">${summary}</p>
+        ${segments}
+        <p class="sheet-footer">SCR Route Finder${DATA_VERSION ? ` · data ${DATA_VERSION.data_version}` : ""}</p>
+    `);
+
+    document.body.classList.add("printing-sheet");
+    window.print();
+}
+
+window.addEventListener("afterprint", () => {
+    document.body.classList.remove("printing-sheet");
+});
+
+/* =======================
+   PREFERENCES
+   Kept in localStorage: prices changed from fares.json (scr-prices), the
+   preferred mode (scr-mode), saved journeys (scr-saved-journeys), the
+   favourite and recent stations and the palette. A profile file holds
+   all of them.
+======================= */
+function readStored(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+function writeStored(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        // Private mode or storage full, the preferences just won't be kept
+    }
+}
+
+function preferredMode() {
+    const mode = readStored("scr-mode", "balanced");
+    return SEARCH_MODES[mode] ? mode : "balanced";
+}
+
+// Prices are saved as they are changed, only the ones that differ from fares.json
+function savePrices() {
+    const prices = {};
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+        if (input.value !== "" && input.value !== input.getAttribute("data-default")) {
+            prices[input.getAttribute("data-operator")] = Number(input.value);
+        }
     });
-    
-    closeBtn.addEventListener("click", function(e) {
-        e.stopPropagation();
-        container.remove();
+    writeStored("scr-prices", prices);
+}
+
+function resetPrices() {
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+        input.value = input.getAttribute("data-default");
     });
+    writeStored("scr-prices", {});
+    renderSavedJourneys();
+    if (LAST_SEARCH) compute();
+}
 
-    content.appendChild(closeBtn);
+document.getElementById("pricing").addEventListener("change", () => {
+    savePrices();
+    renderSavedJourneys();
+});
+
+document.getElementById("preferred-mode").addEventListener("change", e => {
+    writeStored("scr-mode", e.target.value);
+    document.getElementById("reach-mode").value = e.target.value;
+    if (LAST_SEARCH) compute(false);
+});
+
+/* =======================
+   SAVED JOURNEYS
+   Checked again against the current data and prices. Every check is a full
+   journey search, so they run one at a time after the list is shown and are
+   kept until the data or the prices change.
+======================= */
+const SAVED_STATUS = {
+    ok: "",
+    better: "⬆️ A better route is available",
+    gone: "⚠️ This itinerary no longer runs"
+};
+
+function saveCurrentJourney(key, button) {
+    const { journey, mode } = EXPORT_JOURNEYS.get(key);
+    const fallback = `${LAST_SEARCH.from} → ${LAST_SEARCH.to}`;
+    const name = prompt("Name this journey", fallback);
+    if (name === null) return;
+
+    const saved = readStored("scr-saved-journeys", []);
+    saved.push(saveJourney(name.trim() || fallback, LAST_SEARCH, journey, mode));
+    writeStored("scr-saved-journeys", saved);
+    renderSavedJourneys();
+
+    button.textContent = "✔ Saved";
+    setTimeout(() => { button.textContent = "⭐ Save"; }, 1500);
+}
+
+function renderSavedJourneys() {
+    const list = document.getElementById("saved-journeys");
+    const saved = readStored("scr-saved-journeys", []);
+    if (SAVED_CHECK_JOB) SAVED_CHECK_JOB.cancelled = true;
+    SAVED_CHECK_JOB = null;
+
+    if (!saved.length) {
+        setHtml(list, html`<p class="saved-empty">No saved journeys yet, use ⭐ Save on a result to keep it here.</p>`);
+        return;
+    }
+
+    const pricing = readPricingInputs();
+    const key = JSON.stringify([DATA_VERSION && DATA_VERSION.data_version, pricing]);
+    if (SAVED_CHECKS.key !== key) SAVED_CHECKS = { key, checks: new Map() };
+
+    setHtml(list, html`
+        <ul class="saved-journey-list">
+            ${saved.map((journey, idx) => html`
+                <li class="saved-journey saved-checking">
+                    <div class="saved-journey-info">${renderSavedJourneyInfo(journey, null)}</div>
+                    <button type="button" class="btn-replay" data-action="open-saved-journey" data-index="${idx}">Open</button>
+                    <button type="button" class="btn-remove" data-action="delete-saved-journey" data-index="${idx}" aria-label="Delete ${journey.name}">✕</button>
+                </li>
+            `)}
+        </ul>
+    `);
+
+    const items = list.querySelectorAll(".saved-journey");
+    const job = { cancelled: false };
+    SAVED_CHECK_JOB = job;
+
+    // Checks already made are shown at once, the others one per task
+    const next = idx => {
+        for (; idx < saved.length; idx++) {
+            const check = SAVED_CHECKS.checks.get(JSON.stringify(saved[idx]));
+            if (!check) break;
+            showSavedCheck(items[idx], saved[idx], check);
+        }
+        if (idx === saved.length) {
+            SAVED_CHECK_JOB = null;
+            return;
+        }
+
+        setTimeout(() => {
+            if (job.cancelled) return;
+            const journey = saved[idx];
+            const check = checkSavedJourney(GRAPH, { ...journey, constraints: withTrainRoutes(journey.constraints) }, pricing);
+            SAVED_CHECKS.checks.set(JSON.stringify(journey), check);
+            showSavedCheck(items[idx], journey, check);
+            next(idx + 1);
+        }, 0);
+    };
+    next(0);
+}
+
+// check is null while the journey is waiting for its check
+function renderSavedJourneyInfo(journey, check) {
+    const modeTitle = MODE_CARDS.find(card => card.mode === journey.mode).title;
+    const status = check && SAVED_STATUS[check.status];
+    return html`
+        <strong>${journey.name}</strong>
+        <span>${journey.from} → ${journey.to} · ${modeTitle}${check && check.journey ? ` · ${journeySummary(check.journey)}` : ""}</span>
+        ${!check ? html`<span class="saved-checking-note">Checking…</span>` : ""}
+        ${status ? html`<span class="saved-status">${status}${check.best ? `: ${journeySummary(check.best)}` : ""}</span>` : ""}
+    `;
+}
+
+// Updated in place, so the buttons keep the focus
+function showSavedCheck(item, journey, check) {
+    item.classList.replace("saved-checking", `saved-${check.status}`);
+    setHtml(item.querySelector(".saved-journey-info"), renderSavedJourneyInfo(journey, check));
+}
+
+// Runs the saved search again with the current prices
+function openSavedJourney(idx) {
+    const saved = readStored("scr-saved-journeys", [])[idx];
+    if (!saved) return;
+
+    const params = new URLSearchParams({ from: saved.from, to: saved.to });
+    saved.constraints.via.forEach(code => params.append("via", code));
+    saved.constraints.avoidStations.forEach(code => params.append("avoid", code));
+    saved.constraints.excludeRoutes.forEach(routeId => params.append("xroute", routeId));
+    saved.constraints.excludeOperators.forEach(op => params.append("xop", op));
+    if (saved.departure !== null) params.set("dep", formatClock(saved.departure));
+    setTrainParams(params, saved.constraints.trains);
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => params.set(input.id, input.value));
+
+    applyUrlState(params);
+    updateUrl(true);
+
+    const card = [...document.querySelectorAll(".route-card[data-mode]")]
+        .find(el => el.getAttribute("data-mode") === saved.mode);
+    if (card) card.scrollIntoView({ behavior: "smooth" });
+}
+
+function deleteSavedJourney(idx) {
+    const saved = readStored("scr-saved-journeys", []);
+    saved.splice(idx, 1);
+    writeStored("scr-saved-journeys", saved);
+    renderSavedJourneys();
+}
+
+/* =======================
+   PROFILE
+======================= */
+function buildProfile() {
+    return {
+        version: PROFILE_VERSION,
+        prices: readStored("scr-prices", {}),
+        mode: preferredMode(),
+        palette: PALETTE,
+        favourites: readStored("scr-favourite-stations", []),
+        recent: readStored("scr-recent-stations", []),
+        journeys: readStored("scr-saved-journeys", [])
+    };
+}
+
+function exportProfile() {
+    downloadFile("scr-profile.json", JSON.stringify(buildProfile(), null, 2) + "\n", "application/json");
+}
+
+// Replaces everything kept in this browser with the profile in `file`
+async function importProfile(file) {
+    let profile;
+    try {
+        profile = readProfile(JSON.parse(await file.text()));
+    } catch (err) {
+        alert(`Could not import the profile: ${err.message}`);
+        return;
+    }
+
+    const count = profile.journeys.length;
+    if (!confirm(`Replace your prices, preferences, stations and saved journeys with this profile (${count} saved journey${count !== 1 ? "s" : ""})?`)) {
+        return;
+    }
+
+    writeStored("scr-prices", profile.prices);
+    writeStored("scr-mode", profile.mode);
+    writeStored("scr-favourite-stations", profile.favourites);
+    writeStored("scr-recent-stations", profile.recent);
+    writeStored("scr-saved-journeys", profile.journeys);
+    setPalette(profile.palette);
+
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+        input.value = profile.prices[input.getAttribute("data-operator")] ?? input.getAttribute("data-default");
+    });
+    document.getElementById("preferred-mode").value = profile.mode;
+    document.getElementById("reach-mode").value = profile.mode;
+    renderSavedJourneys();
+    if (LAST_SEARCH) compute(false);
+}
+
+document.getElementById("profile-file").addEventListener("change", e => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (file) importProfile(file);
+});
+
+/* =======================
+   SEARCH CONSTRAINTS
+======================= */
+function addConstraintRow(listId, kind, value) {
+    const list = document.getElementById(listId);
+    const row = document.createElement("div");
+    row.className = "constraint-row";
+
+    const select = document.createElement("select");
+    if (kind === "route") {
+        [...ROUTE_DATA.keys()].sort().forEach(routeId => {
+            select.add(new Option(`${routeId} - ${ROUTE_DATA.get(routeId).operator}`, routeId));
+        });
+    } else {
+        STATION_LIST.forEach(code => {
+            const name = STATION_DATA.get(code);
+            select.add(new Option(name ? `${code} - ${name}` : code, code));
+        });
+    }
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn-remove";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove";
+    removeBtn.onclick = () => row.remove();
+
+    if (value) select.value = value;
+
+    row.appendChild(select);
+    row.appendChild(removeBtn);
+    list.appendChild(row);
+
+    if (kind !== "route") attachStationPicker(select);
+}
+
+function readConstraints() {
+    const values = listId => [...document.querySelectorAll(`#${listId} select`)].map(select => select.value);
+
+    return withTrainRoutes({
+        via: values("via-list"),
+        avoidStations: values("avoid-list"),
+        excludeRoutes: values("exclude-routes-list"),
+        excludeOperators: [...document.querySelectorAll('#exclude-operators input:checked')]
+            .map(input => input.getAttribute('data-operator')),
+        trains: readTrainInputs()
+    });
+}
+
+function renderConstraintSummary(constraints) {
+    const summary = document.getElementById("constraints-summary");
+    const items = [];
+
+    if (constraints.via.length) items.push(`Via ${constraints.via.join(" → ")}`);
+    if (constraints.avoidStations.length) items.push(`Avoiding ${constraints.avoidStations.join(", ")}`);
+    if (constraints.excludeRoutes.length) items.push(`Excluding routes ${constraints.excludeRoutes.join(", ")}`);
+    if (constraints.excludeOperators.length) items.push(`Excluding operators ${constraints.excludeOperators.join(", ")}`);
+    if (constraints.trains) {
+        const none = constraints.onlyRoutes && !constraints.onlyRoutes.length ? " (no train matches)" : "";
+        items.push(`${constraints.trains.prefer ? "Preferring" : "Only"} ${describeTrainFilter(constraints.trains)}${none}`);
+    }
+
+    setHtml(summary, items.length
+        ? html`<div class="constraints-banner"><strong>Active constraints:</strong> ${items.join(" • ")}</div>`
+        : "");
+}
+
+/* =======================
+   TRAIN FILTER
+   Search options for riding a particular train. "Only" keeps the search
+   on routes a matching train can run, "prefer" adds a card with the
+   journey spending the most time on them.
+======================= */
+// null when no train option is set
+function readTrainInputs() {
+    const name = document.getElementById("train-name").value.trim();
+    const propulsion = document.getElementById("train-propulsion").value;
+    const minSize = document.getElementById("train-min-size").value;
+    if (!name && !propulsion && !minSize) return null;
+
+    return {
+        name,
+        propulsion,
+        minSize: minSize ? Number(minSize) : null,
+        prefer: document.getElementById("train-use").value === "prefer"
+    };
+}
+
+function setTrainInputs(filter) {
+    document.getElementById("train-name").value = filter ? filter.name : "";
+    document.getElementById("train-propulsion").value = filter ? filter.propulsion : "";
+    document.getElementById("train-min-size").value = filter && filter.minSize ? filter.minSize : "";
+    document.getElementById("train-use").value = filter && filter.prefer ? "prefer" : "only";
+}
+
+// The routes are looked up again from the filter, so saved searches follow
+// the current data
+function withTrainRoutes(constraints) {
+    const { onlyRoutes, ...rest } = constraints;
+    if (!constraints.trains || constraints.trains.prefer) return rest;
+    return { ...rest, onlyRoutes: findTrainRoutes(ROUTE_DATA, matchTrains(TRAIN_DATA, constraints.trains)) };
+}
+
+// "diesel trains like "class 43" of size 6+"
+function describeTrainFilter(filter) {
+    const propulsion = { D: "diesel ", E: "electric " }[filter.propulsion] || "";
+    return `${propulsion}trains${filter.name ? ` like "${filter.name}"` : ""}${filter.minSize ? ` of size ${filter.minSize}+` : ""}`;
+}
+
+function renderMatchingTrains(routeId, filter) {
+    if (routeId === WALK_ROUTE) return "";
+    const trains = matchTrains(getCompatibleTrainsForRoute(routeId), filter);
+
+    return html`
+        <div class="segment-trains ${trains.length ? "" : "no-match"}">
+            🚆 ${trains.length ? trains.map(train => train.name).join(", ") : "No matching train on this route"}
+        </div>
+    `;
+}
+
+/* =======================
+   JOURNEY TABLE
+======================= */
+function renderJourneyTable() {
+    const card = document.getElementById("journey-table-card");
+    if (!card) return;
+
+    const { key, dir } = JOURNEY_SORT;
+    const journeys = LAST_JOURNEYS
+        .map((r, idx) => ({ r, idx }))
+        .sort((a, b) => (a.r[key] - b.r[key]) * dir || a.idx - b.idx);
+
+    const header = (label, column) => {
+        const arrow = key === column ? (dir > 0 ? " ▲" : " ▼") : "";
+        return html`<th class="sortable" data-action="sort-journeys" data-column="${column}" tabindex="0" aria-sort="${sortOrder(key === column, dir)}">${label}${arrow}</th>`;
+    };
+
+    setHtml(card, html`
+        <h3>All Optimal Journeys (${LAST_JOURNEYS.length})</h3>
+        <p class="journey-table-note">No journey in this list is beaten by another on time, transfers and cost at once.</p>
+        <table class="journey-table">
+            <thead>
+                <tr>
+                    ${header("⏱️ Time", "time")}
+                    ${header("🔄 Transfers", "transfers")}
+                    ${header("💵 Cost", "cost")}
+                    <th>Routes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${journeys.map(({ r, idx }) => html`
+                    <tr class="journey-row" data-action="toggle-journey" tabindex="0" aria-expanded="false" aria-label="${journeySummary(r)}, show details">
+                        <td>${r.time} min</td>
+                        <td>${r.transfers}</td>
+                        <td>${r.cost}</td>
+                        <td>${extractSegments(r.path).map(seg => seg.route).join(" → ")}</td>
+                    </tr>
+                    <tr class="hidden">
+                        <td colspan="4">${renderItinerary(r, `journey_${idx}`, `Optimal journey ${idx + 1}`)}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `);
+}
+
+function sortJourneyTable(column) {
+    JOURNEY_SORT = JOURNEY_SORT.key === column
+        ? { key: column, dir: -JOURNEY_SORT.dir }
+        : { key: column, dir: 1 };
+    renderJourneyTable();
+    document.querySelector(`#journey-table-card [data-column="${column}"]`).focus();
+}
+
+function sortOrder(sorted, dir) {
+    if (!sorted) return "none";
+    return dir > 0 ? "ascending" : "descending";
+}
+
+// Shows or hides the element after a toggle, the stops of a segment or the
+// details row of a journey
+function toggleDetails(toggle) {
+    const open = toggle.nextElementSibling.classList.toggle("hidden") === false;
+    toggle.setAttribute("aria-expanded", String(open));
+}
+
+/* =======================
+   DRIVER PLANNER
+======================= */
+function readDriverInputs() {
+    const train = document.getElementById("driver-train").value;
+    const start = document.getElementById("driver-start").value;
+
+    if (!train || !start) {
+        alert("Please select a train and a start station");
+        return null;
+    }
+
+    return {
+        train,
+        start,
+        depot: document.getElementById("driver-depot").value || start,
+        length: Number(document.getElementById("driver-length").value)
+    };
+}
+
+function renderDriverRuns(runs) {
+    const getDisplayName = code => {
+        const name = STATION_DATA.get(code);
+        return name ? `${code} - ${name}` : code;
+    };
+
+    return html`
+        <table class="journey-table">
+            <thead>
+                <tr>
+                    <th>Route</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Stops</th>
+                    <th>⏱️ Time</th>
+                    <th>⭐ Points</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${runs.map(run => html`
+                    <tr>
+                        <td>${routeBadge(run.route)}</td>
+                        <td>${getDisplayName(run.from)}${run.startsHere ? "" : html` <span class="driver-note">(joins mid-route)</span>`}</td>
+                        <td>${getDisplayName(run.to)}</td>
+                        <td>${run.stops}</td>
+                        <td>${run.time} min</td>
+                        <td>${calculatePoints({ time: run.time, stops: run.stops - 1 }, FARES.points)}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+function showDriverRoutes() {
+    const inputs = readDriverInputs();
+    if (!inputs) return;
+
+    const out = document.getElementById("driver-output");
+    const runs = findDriverRoutes(SERVICES, ROUTE_DATA, inputs.train, inputs.start);
+
+    setHtml(out, runs.length
+        ? html`<h3 class="driver-title">${runs.length} route${runs.length !== 1 ? 's' : ''} for ${inputs.train} from ${inputs.start}</h3>${renderDriverRuns(runs)}`
+        : html`<div class="no-route">${inputs.train} cannot run any route from ${inputs.start}</div>`);
+}
+
+function planShift() {
+    const inputs = readDriverInputs();
+    if (!inputs) return;
+
+    if (!(inputs.length > 0)) {
+        alert("Please enter a shift length");
+        return;
+    }
+
+    const out = document.getElementById("driver-output");
+    const shift = planDriverShift(SERVICES, ROUTE_DATA, inputs.train, inputs.start, inputs.depot, inputs.length);
+
+    setHtml(out, shift
+        ? html`<h3 class="driver-title">${shift.time} min shift, ${shift.runs.length} run${shift.runs.length !== 1 ? 's' : ''}, ${inputs.start} → ${inputs.depot}</h3>${renderDriverRuns(shift.runs)}`
+        : html`<div class="no-route">No shift found for ${inputs.train} from ${inputs.start} back to ${inputs.depot}</div>`);
+}
+
+document.getElementById("driver-output").addEventListener("click", e => {
+    const badge = e.target.closest("[data-route]");
+    if (badge) showRouteDetails(badge.getAttribute("data-route"));
+});
+
+/* =======================
+   STATION PICKER
+   Type-ahead over a station <select>. The select stays in the page,
+   hidden, and keeps the value, so code reading .value is unchanged.
+   Set it with setStation() so the picker text follows.
+======================= */
+function rememberStations(codes) {
+    const recent = [...codes, ...readStored("scr-recent-stations", [])];
+    writeStored("scr-recent-stations", [...new Set(recent)].slice(0, RECENT_STATION_COUNT));
+}
+
+function toggleFavouriteStation(code) {
+    const favourites = readStored("scr-favourite-stations", []);
+    writeStored("scr-favourite-stations", favourites.includes(code)
+        ? favourites.filter(c => c !== code)
+        : [...favourites, code]);
+}
+
+// Favourites rank above recent stations, both above a slightly better match
+function stationBoosts() {
+    const boosts = new Map();
+    readStored("scr-recent-stations", []).forEach(code => boosts.set(code, 3));
+    readStored("scr-favourite-stations", []).forEach(code => boosts.set(code, 6));
+    return boosts;
+}
+
+function setStation(select, code) {
+    select.value = code;
+    select.dispatchEvent(new Event("change"));
+}
+
+function swapStations() {
+    const fromSelect = document.getElementById("from");
+    const toSelect = document.getElementById("to");
+    const from = fromSelect.value;
+
+    setStation(fromSelect, toSelect.value);
+    setStation(toSelect, from);
+
+    if (LAST_SEARCH && fromSelect.value && toSelect.value) compute();
+}
+
+// The network map registers itself here to offer picking a station by clicking it
+function registerMapPicker(picker) {
+    MAP_PICKER = picker;
+    document.querySelectorAll(".btn-map-pick").forEach(btn => btn.classList.remove("hidden"));
+}
+
+function attachStationPicker(select) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "station-picker";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "station-input";
+    input.placeholder = select.options[0] && !select.options[0].value ? select.options[0].text : "Type a station...";
+    input.autocomplete = "off";
+    input.setAttribute("role", "combobox");
+    input.setAttribute("aria-autocomplete", "list");
+    input.setAttribute("aria-expanded", "false");
+
+    const label = select.parentElement.querySelector("label");
+    if (label) input.setAttribute("aria-label", label.textContent);
+
+    const list = document.createElement("ul");
+    list.id = `${select.id || `station-${document.querySelectorAll(".station-picker").length}`}-options`;
+    list.className = "station-options hidden";
+    list.setAttribute("role", "listbox");
+    input.setAttribute("aria-controls", list.id);
+
+    wrapper.appendChild(input);
+    wrapper.appendChild(list);
+
+    if (select.id === "from" || select.id === "to") {
+        const mapBtn = document.createElement("button");
+        mapBtn.type = "button";
+        mapBtn.className = MAP_PICKER ? "btn-map-pick" : "btn-map-pick hidden";
+        mapBtn.textContent = "🗺️";
+        mapBtn.title = "Pick on the map";
+        mapBtn.onclick = () => MAP_PICKER(code => setStation(select, code));
+        wrapper.appendChild(mapBtn);
+    }
+
+    select.classList.add("hidden");
+    select.after(wrapper);
+
+    const stations = [...select.options]
+        .filter(option => option.value)
+        .map(option => ({ code: option.value, name: STATION_DATA.get(option.value) || "" }));
+
+    let matches = [];
+    let active = -1;
+    let typed = false;
+
+    const display = () => {
+        input.value = select.value ? select.selectedOptions[0].text : "";
+    };
+
+    const close = () => {
+        list.classList.add("hidden");
+        input.setAttribute("aria-expanded", "false");
+        input.removeAttribute("aria-activedescendant");
+        active = -1;
+    };
+
+    const highlight = idx => {
+        list.querySelectorAll(".station-option").forEach((item, i) => {
+            item.classList.toggle("active", i === idx);
+            item.setAttribute("aria-selected", i === idx ? "true" : "false");
+        });
+        active = idx;
+
+        if (idx >= 0) {
+            const item = document.getElementById(`${list.id}-${idx}`);
+            input.setAttribute("aria-activedescendant", item.id);
+            item.scrollIntoView({ block: "nearest" });
+        }
+    };
+
+    const open = query => {
+        const favourites = readStored("scr-favourite-stations", []);
+        matches = rankStations(query, stations, stationBoosts()).slice(0, STATION_PICKER_LIMIT);
+
+        setHtml(list, matches.length
+            ? matches.map(({ code, name }, idx) => {
+                const favourite = favourites.includes(code);
+                return html`
+                    <li class="station-option" role="option" id="${list.id}-${idx}" data-code="${code}">
+                        <span class="station-code">${code}</span>
+                        <span class="station-name">${name}</span>
+                        <button type="button" tabindex="-1" class="btn-favourite${favourite ? " active" : ""}" data-favourite="${code}" title="${favourite ? "Remove from favourites" : "Add to favourites"} (Shift+Enter)">${favourite ? "★" : "☆"}</button>
+                    </li>
+                `;
+            })
+            : html`<li class="station-empty">No station found</li>`);
+
+        list.classList.remove("hidden");
+        input.setAttribute("aria-expanded", "true");
+        highlight(matches.length ? 0 : -1);
+    };
+
+    const choose = code => {
+        setStation(select, code);
+        close();
+    };
+
+    input.addEventListener("focus", () => {
+        typed = false;
+        input.select();
+        open("");
+    });
+
+    input.addEventListener("input", () => {
+        typed = true;
+        open(input.value);
+    });
+
+    input.addEventListener("keydown", e => {
+        const isOpen = !list.classList.contains("hidden");
+
+        if (e.key === "ArrowDown") {
+            e.preventDefault();
+            if (!isOpen) open(typed ? input.value : "");
+            else if (matches.length) highlight(Math.min(active + 1, matches.length - 1));
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            if (isOpen && matches.length) highlight(Math.max(active - 1, 0));
+        } else if (e.key === "Enter" && isOpen && active >= 0) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                const idx = active;
+                toggleFavouriteStation(matches[idx].code);
+                open(typed ? input.value : "");
+                highlight(matches.findIndex(s => s.code === matches[idx].code));
+            } else {
+                choose(matches[active].code);
+            }
+        } else if (e.key === "Escape" && isOpen) {
+            e.preventDefault();
+            close();
+            display();
+        } else if (e.key === "Tab" && isOpen && typed && active >= 0) {
+            choose(matches[active].code);
+        }
+    });
+
+    input.addEventListener("blur", () => {
+        close();
+        display();
+    });
+
+    // mousedown keeps the focus in the input, so blur doesn't close the list first
+    list.addEventListener("mousedown", e => {
+        e.preventDefault();
+        const favourite = e.target.closest("[data-favourite]");
+        const item = e.target.closest("[data-code]");
+
+        if (favourite) {
+            toggleFavouriteStation(favourite.getAttribute("data-favourite"));
+            open(typed ? input.value : "");
+        } else if (item) {
+            choose(item.getAttribute("data-code"));
+        }
+    });
+
+    select.addEventListener("change", display);
+    display();
+}
+
+/* =======================
+   NETWORK MAP
+   Drawn from GRAPH and coordinates.json, one line per station pair and
+   operator. Lines are keyed "A|B|operator" with A and B sorted.
+======================= */
+function mapLineKey(from, to, operator) {
+    return `${[from, to].sort().join("|")}|${operator}`;
+}
+
+function drawNetworkMap() {
+    const card = document.getElementById("map-card");
+    if (!COORDINATES) {
+        card.classList.add("hidden");
+        return;
+    }
+
+    const { width, height, stations } = COORDINATES;
+
+    const lines = new Map();
+    GRAPH.forEach((edges, from) => {
+        edges.forEach(e => {
+            if (!stations[from] || !stations[e.to]) return;
+            const key = mapLineKey(from, e.to, e.operator);
+            if (!lines.has(key)) {
+                const [a, b] = [from, e.to].sort();
+                lines.set(key, { a, b, operator: e.operator, walk: !!e.walk });
+            }
+        });
+    });
+
+    // Operators sharing a pair of stations are drawn side by side
+    const byPair = new Map();
+    lines.forEach((line, key) => {
+        const pair = `${line.a}|${line.b}`;
+        if (!byPair.has(pair)) byPair.set(pair, []);
+        byPair.get(pair).push(key);
+    });
+
+    const lineMarkup = [];
+    byPair.forEach(keys => {
+        keys.forEach((key, idx) => {
+            const { a, b, operator, walk } = lines.get(key);
+            const p = stations[a];
+            const q = stations[b];
+            const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+            const offset = (idx - (keys.length - 1) / 2) * 3;
+            const ox = (-(q.y - p.y) / length) * offset;
+            const oy = ((q.x - p.x) / length) * offset;
+            const color = walk ? "#a0aec0" : operatorColor(operator);
+
+            lineMarkup.push(html`<line class="map-line${walk ? " map-walk" : ""}" data-line="${key}" x1="${p.x + ox}" y1="${p.y + oy}" x2="${q.x + ox}" y2="${q.y + oy}" style="stroke: ${color};"></line>`);
+        });
+    });
+
+    const stationMarkup = Object.entries(stations)
+        .filter(([code]) => GRAPH.has(code))
+        .map(([code, { x, y }]) => {
+            const name = STATION_DATA.get(code);
+            return html`
+                <g class="map-station" data-station="${code}" tabindex="0" role="button" aria-label="${name ? `${code} - ${name}` : code}">
+                    <title>${name ? `${code} - ${name}` : code}</title>
+                    <circle cx="${x}" cy="${y}" r="6"></circle>
+                    <text x="${x}" y="${y - 10}">${code}</text>
+                </g>
+            `;
+        });
+
+    setHtml(document.getElementById("network-map"), html`
+        <svg class="network-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Network map">
+            ${lineMarkup}
+            ${stationMarkup}
+        </svg>
+    `);
+
+    setHtml(document.getElementById("map-legend"), html`
+        ${[...OPERATORS].sort().map(op => html`
+        <span class="operator-badge operator-${op}" style="background: ${operatorColor(op)}; color: white;">${op}</span>
+        `)}
+        <span class="map-walk-key">┄ Walk</span>
+    `);
+
+    registerMapPicker(callback => {
+        MAP_PICK_CALLBACK = callback;
+        card.classList.add("picking");
+        setMapStatus("Click a station to pick it");
+        card.scrollIntoView({ behavior: "smooth" });
+    });
+}
+
+function setMapStatus(text) {
+    document.getElementById("map-status").textContent = text;
+}
+
+// links: [{ from, to, operator }], an empty list clears the highlight
+function highlightOnMap(links, status) {
+    const svg = document.querySelector("#network-map svg");
+    if (!svg) return;
+
+    const keys = new Set(links.map(({ from, to, operator }) => mapLineKey(from, to, operator)));
+    const codes = new Set(links.flatMap(({ from, to }) => [from, to]));
+
+    svg.querySelectorAll(".map-line").forEach(line => {
+        line.classList.toggle("highlight", keys.has(line.getAttribute("data-line")));
+    });
+    svg.querySelectorAll(".map-station").forEach(station => {
+        station.classList.toggle("highlight", codes.has(station.getAttribute("data-station")));
+    });
+    svg.classList.toggle("has-highlight", keys.size > 0);
+    clearMapBands(svg);
+    setMapStatus(keys.size ? status : "");
+}
+
+function clearMapBands(svg) {
+    svg.classList.remove("has-bands");
+    svg.querySelectorAll(".map-station").forEach(station => {
+        station.classList.remove("unreached");
+        station.querySelector("circle").style.fill = "";
+    });
+}
+
+function highlightJourneyOnMap(journey, title) {
+    const path = journey ? journey.path : [];
+    // A journey from a station to itself has no path
+    const from = path.length ? path[0].from : journey && journey.station;
+    highlightOnMap(
+        path.map(({ from, to, operator }) => ({ from, to, operator })),
+        journey ? `${title}: ${from} → ${journey.station}` : ""
+    );
+}
+
+function highlightRouteOnMap(routeId) {
+    const route = ROUTE_DATA.get(routeId);
+    const links = [];
+    SERVICES.filter(service => service.route === routeId).forEach(service => {
+        for (let i = 0; i < service.stops.length - 1; i++) {
+            links.push({ from: service.stops[i], to: service.stops[i + 1], operator: route.operatorCode });
+        }
+    });
+    highlightOnMap(links, `Route ${routeId} (${route.operator})`);
+}
+
+// Without a pending pick the first click sets From and the second sets To and searches
+function selectStationFromMap(code) {
+    if (MAP_PICK_CALLBACK) {
+        const callback = MAP_PICK_CALLBACK;
+        MAP_PICK_CALLBACK = null;
+        document.getElementById("map-card").classList.remove("picking");
+        setMapStatus("");
+        callback(code);
+        document.querySelector(".card").scrollIntoView({ behavior: "smooth" });
+        return;
+    }
+
+    const fromSelect = document.getElementById("from");
+    const toSelect = document.getElementById("to");
+
+    if (!fromSelect.value || toSelect.value) {
+        setStation(fromSelect, code);
+        setStation(toSelect, "");
+        setMapStatus(`From ${code}, now click the destination`);
+    } else if (code !== fromSelect.value) {
+        setStation(toSelect, code);
+        compute();
+    }
+}
+
+document.getElementById("network-map").addEventListener("click", e => {
+    const station = e.target.closest("[data-station]");
+    if (station) selectStationFromMap(station.getAttribute("data-station"));
+});
+
+document.getElementById("network-map").addEventListener("keydown", e => {
+    const station = e.target.closest("[data-station]");
+    if (station && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        selectStationFromMap(station.getAttribute("data-station"));
+    }
+});
+
+/* =======================
+   REACHABILITY EXPLORER
+======================= */
+function reachBand(time) {
+    const idx = REACH_BANDS.findIndex(limit => time <= limit);
+    return idx === -1 ? REACH_BANDS.length : idx;
+}
+
+function reachBandLabel(band) {
+    if (band === 0) return `≤ ${REACH_BANDS[0]} min`;
+    if (band === REACH_BANDS.length) return `> ${REACH_BANDS[band - 1]} min`;
+    return `${REACH_BANDS[band - 1] + 1}–${REACH_BANDS[band]} min`;
+}
+
+function exploreReach() {
+    const from = document.getElementById("reach-from").value;
+    if (!from) {
+        alert("Please select a station to explore from");
+        return;
+    }
+
+    const mode = document.getElementById("reach-mode").value;
+    const reached = findReachable(GRAPH, from, mode, readPricingInputs());
+
+    REACH = { from, mode, results: [...reached.values()] };
+    renderReach();
+}
+
+// The time and transfer limits only filter, so they can change without a new search
+function filteredReach() {
+    const limit = id => {
+        const value = document.getElementById(id).value;
+        return value === "" ? Infinity : Number(value);
+    };
+    const maxTime = limit("reach-max-time");
+    const maxTransfers = limit("reach-max-transfers");
+
+    return REACH.results.filter(r => r.time <= maxTime && r.transfers <= maxTransfers);
+}
+
+function renderReach() {
+    const out = document.getElementById("reach-output");
+    if (!REACH) return;
+
+    const { key, dir } = REACH_SORT;
+    const results = filteredReach().sort((a, b) => (key === "station"
+        ? a.station.localeCompare(b.station)
+        : a[key] - b[key] || a.station.localeCompare(b.station)) * dir);
+
+    const bands = REACH_BAND_COLORS.map(() => 0);
+    results.forEach(r => bands[reachBand(r.time)]++);
+
+    const header = (label, column) => {
+        const arrow = key === column ? (dir > 0 ? " ▲" : " ▼") : "";
+        return html`<th class="sortable" data-action="sort-reach" data-column="${column}" tabindex="0" aria-sort="${sortOrder(key === column, dir)}">${label}${arrow}</th>`;
+    };
+
+    setHtml(out, html`
+        <h3 class="driver-title">${results.length} of ${STATION_LIST.length - 1} stations from ${REACH.from}</h3>
+        <div class="reach-bands">
+            ${bands.map((count, band) => html`
+                <span class="reach-band" style="border-color: ${reachColor(band)};">
+                    <span class="reach-dot" style="background: ${reachColor(band)};"></span>
+                    ${reachBandLabel(band)}: ${count}
+                </span>
+            `)}
+        </div>
+        ${results.length ? html`
+        <table class="journey-table">
+            <thead>
+                <tr>
+                    ${header("Station", "station")}
+                    ${header("⏱️ Time", "time")}
+                    ${header("🔄 Transfers", "transfers")}
+                    ${header("💵 Cost", "cost")}
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map(r => html`
+                    <tr>
+                        <td>${stationLink(r.station)}</td>
+                        <td><span class="reach-dot" style="background: ${reachColor(reachBand(r.time))};"></span> ${r.time} min</td>
+                        <td>${r.transfers}</td>
+                        <td>${r.cost}</td>
+                        <td><button type="button" class="route-stop-plan" data-action="plan-reach" data-station="${r.station}">Show route</button></td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>` : html`<div class="no-route">No station within these limits</div>`}
+    `);
+
+    showReachOnMap(results);
+}
+
+function sortReachTable(column) {
+    REACH_SORT = REACH_SORT.key === column
+        ? { key: column, dir: -REACH_SORT.dir }
+        : { key: column, dir: 1 };
+    renderReach();
+    document.querySelector(`#reach-output [data-column="${column}"]`).focus();
+}
+
+function showReachOnMap(results) {
+    const svg = document.querySelector("#network-map svg");
+    if (!svg) return;
+
+    highlightOnMap([]);
+    const times = new Map(results.map(r => [r.station, r.time]));
+
+    svg.classList.add("has-bands");
+    svg.querySelectorAll(".map-station").forEach(station => {
+        const code = station.getAttribute("data-station");
+        const circle = station.querySelector("circle");
+
+        if (code === REACH.from) {
+            circle.style.fill = "#2d3748";
+        } else if (times.has(code)) {
+            circle.style.fill = reachColor(reachBand(times.get(code)));
+        } else {
+            station.classList.add("unreached");
+        }
+    });
+    setMapStatus(`Reachable from ${REACH.from}, colored by travel time`);
+}
+
+function planReach(code) {
+    setStation(document.getElementById("from"), REACH.from);
+    setStation(document.getElementById("to"), code);
+    compute();
+    document.querySelector(".card").scrollIntoView({ behavior: "smooth" });
+}
+
+["reach-max-time", "reach-max-transfers"].forEach(id => {
+    document.getElementById(id).addEventListener("input", renderReach);
+});
+
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Every ordered station pair with the selected mode and the current prices
+function exportOdMatrix() {
+    const mode = document.getElementById("reach-mode").value;
+    const rows = buildOdMatrix(GRAPH, STATION_LIST, mode, readPricingInputs()).map(row => ({
+        ...row,
+        from_name: STATION_DATA.get(row.from) || "",
+        to_name: STATION_DATA.get(row.to) || ""
+    }));
+
+    const csv = formatCsv(rows, ["from", "from_name", "to", "to_name", "time", "transfers", "cost"]);
+    downloadFile(`scr-od-matrix-${mode}.csv`, csv, "text/csv");
+}
+
+/* =======================
+   DEEP LINKS
+   ?from=SCN&to=SAO&via=..&avoid=..&xroute=..&xop=..&dep=08:30
+   &train=class+43&prop=D&size=6&tuse=prefer
+   &price_CN=3&mode=cheap&route=R001 (or &station=SCN)
+   Only prices that differ from the defaults are written, a link without
+   them uses the saved prices. `mode` is the card
+   whose alternatives are open, `route` or `station` the open popup.
+======================= */
+function buildSearchParams() {
+    const params = new URLSearchParams();
+
+    if (LAST_SEARCH) {
+        const { from, to, constraints } = LAST_SEARCH;
+        params.set("from", from);
+        params.set("to", to);
+        constraints.via.forEach(code => params.append("via", code));
+        constraints.avoidStations.forEach(code => params.append("avoid", code));
+        constraints.excludeRoutes.forEach(routeId => params.append("xroute", routeId));
+        constraints.excludeOperators.forEach(op => params.append("xop", op));
+        setTrainParams(params, constraints.trains);
+
+        const departure = document.getElementById("departure").value;
+        if (TIMETABLE && departure) params.set("dep", departure);
+
+        document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+            if (input.value !== input.getAttribute("data-default")) {
+                params.set(input.id, input.value);
+            }
+        });
+
+        const openList = document.querySelector(".route-card[data-mode] .alternatives:not(.hidden)");
+        if (openList) params.set("mode", openList.closest(".route-card").getAttribute("data-mode"));
+    }
+
+    const popup = document.getElementById("route-details-popup");
+    if (popup && popup.dataset.route) params.set("route", popup.dataset.route);
+    if (popup && popup.dataset.station) params.set("station", popup.dataset.station);
+
+    return params;
+}
+
+// New searches get a history entry, popups and alternatives replace the current one
+function updateUrl(push) {
+    const query = buildSearchParams().toString();
+    const url = location.pathname + (query ? `?${query}` : "");
+    if (url === location.pathname + location.search) return;
+
+    history[push ? "pushState" : "replaceState"](null, "", url);
+}
+
+function setTrainParams(params, filter) {
+    if (!filter) return;
+    if (filter.name) params.set("train", filter.name);
+    if (filter.propulsion) params.set("prop", filter.propulsion);
+    if (filter.minSize) params.set("size", filter.minSize);
+    if (filter.prefer) params.set("tuse", "prefer");
+}
+
+function applyUrlState(params) {
+    const prices = readStored("scr-prices", {});
+    document.querySelectorAll('#pricing input[type="number"]').forEach(input => {
+        input.value = params.get(input.id) ?? prices[input.getAttribute("data-operator")] ?? input.getAttribute("data-default");
+    });
+
+    const lists = { "via-list": ["via", "station"], "avoid-list": ["avoid", "station"], "exclude-routes-list": ["xroute", "route"] };
+    for (const [listId, [key, kind]] of Object.entries(lists)) {
+        document.getElementById(listId).replaceChildren();
+        params.getAll(key).forEach(value => addConstraintRow(listId, kind, value));
+    }
+
+    const excluded = params.getAll("xop");
+    document.querySelectorAll("#exclude-operators input").forEach(input => {
+        input.checked = excluded.includes(input.getAttribute("data-operator"));
+    });
+    document.getElementById("departure").value = params.get("dep") || "";
+    setTrainInputs({
+        name: params.get("train") || "",
+        propulsion: ["D", "E"].includes(params.get("prop")) ? params.get("prop") : "",
+        minSize: Number(params.get("size")) || null,
+        prefer: params.get("tuse") === "prefer"
+    });
+
+    const fromSelect = document.getElementById("from");
+    const toSelect = document.getElementById("to");
+    setStation(fromSelect, params.get("from") || "");
+    setStation(toSelect, params.get("to") || "");
+
+    if (fromSelect.value && toSelect.value) {
+        compute(false);
+
+        // Compared as text, the mode comes from the URL and may be anything
+        const card = [...document.querySelectorAll(".route-card[data-mode]")]
+            .find(el => el.getAttribute("data-mode") === params.get("mode"));
+        const toggle = card && card.querySelector(".alternatives-container .segment-toggle");
+        if (toggle) {
+            toggleAlternatives(toggle, params.get("mode"));
+            toggle.closest(".route-card").scrollIntoView({ behavior: "smooth" });
+        }
+    } else {
+        LAST_SEARCH = null;
+        LAST_JOURNEYS = [];
+        document.getElementById("output").replaceChildren();
+        document.getElementById("constraints-summary").replaceChildren();
+    }
+
+    closeDialog("route-details-popup", false);
+    if (params.get("route") && ROUTE_DATA.has(params.get("route"))) {
+        showRouteDetails(params.get("route"));
+    } else if (params.get("station")) {
+        showStationDetails(params.get("station"));
+    }
+}
+
+/* =======================
+   TAG GAME
+======================= */
+function readTagOptions() {
+    const number = id => {
+        const value = document.getElementById(id).value;
+        return value === "" ? null : Number(value);
+    };
+
+    return {
+        mode: document.getElementById("tag-mode").value,
+        start: document.getElementById("tag-start").value || null,
+        minTime: number("tag-min-time"),
+        maxTime: number("tag-max-time"),
+        minTransfers: number("tag-min-transfers"),
+        maxTransfers: number("tag-max-transfers"),
+        operators: [...document.querySelectorAll("#tag-operators input:checked")]
+            .map(input => input.getAttribute("data-operator"))
+    };
+}
+
+function generateTag() {
+    const options = readTagOptions();
+    const seedInput = document.getElementById("tag-seed");
+    const avoidRecent = document.getElementById("tag-avoid-recent").checked;
+
+    // A blank seed gets a fresh one, shown so the round can be replayed
+    options.seed = seedInput.value.trim() || Math.random().toString(36).slice(2, 8);
+    options.exclude = avoidRecent
+        ? TAG_HISTORY.flatMap(round => [round.target, round.hider, round.seeker]).filter(Boolean)
+        : [];
+
+    playTagRound(options);
+    seedInput.value = "";
+}
+
+function playTagRound(options) {
+    searchTagRound(options, round => {
+        const out = document.getElementById("tag-output");
+        if (!round) {
+            setHtml(out, html`<div class="no-route">No station fits these limits, try widening them</div>`);
+            return;
+        }
+
+        round.options = options;
+        TAG_HISTORY.unshift(round);
+        TAG_HISTORY = TAG_HISTORY.slice(0, TAG_HISTORY_SIZE);
+
+        setHtml(out, renderTagRound(round));
+        renderTagHistory();
+    });
+}
+
+// Pair mode can search from every station before giving up, so the search
+// runs a slice at a time with its progress shown and can be cancelled.
+// Starting another search cancels the one running.
+function searchTagRound(options, done) {
+    if (TAG_SEARCH) TAG_SEARCH.cancelled = true;
+
+    const search = tagRoundSearch(GRAPH, [...STATION_DATA.keys()], readPricingInputs(), options);
+    const job = { cancelled: false };
+    TAG_SEARCH = job;
+
+    const slice = () => {
+        if (job.cancelled) return;
+
+        const end = performance.now() + TAG_SLICE_MS;
+        let step = search.next();
+        while (!step.done && performance.now() < end) step = search.next();
+
+        if (step.done) {
+            TAG_SEARCH = null;
+            done(step.value);
+            return;
+        }
+        renderTagProgress(step.value);
+        setTimeout(slice, 0);
+    };
+    slice();
+}
+
+// Updated in place, so the Cancel button keeps the focus
+function renderTagProgress({ done, total }) {
+    const out = document.getElementById("tag-output");
+    if (!out.querySelector(".tag-progress")) {
+        setHtml(out, html`
+            <div class="tag-progress">
+                <span role="status" class="tag-progress-text"></span>
+                <progress max="${total}"></progress>
+                <button type="button" class="btn-replay" data-action="cancel-tag">Cancel</button>
+            </div>
+        `);
+    }
+    out.querySelector(".tag-progress-text").textContent = `Checked ${done} of ${total} seekers`;
+    out.querySelector("progress").value = done;
+}
+
+function cancelTagSearch() {
+    if (!TAG_SEARCH) return;
+    TAG_SEARCH.cancelled = true;
+    TAG_SEARCH = null;
+    setHtml(document.getElementById("tag-output"), html`<div class="no-route">Search cancelled</div>`);
+}
+
+function renderTagRound(round) {
+    const getDisplayName = code => {
+        const name = STATION_DATA.get(code);
+        return name ? `${code} - ${name}` : code;
+    };
+
+    const picks = round.mode === "pair"
+        ? html`
+            <div class="tag-pick"><span class="tag-role">🙈 Hider</span>${getDisplayName(round.hider)}</div>
+            <div class="tag-pick"><span class="tag-role">🔍 Seeker</span>${getDisplayName(round.seeker)}</div>
+        `
+        : html`<div class="tag-pick"><span class="tag-role">🎯 Target</span>${getDisplayName(round.target)}</div>`;
+
+    const journey = round.journey
+        ? html`<div class="tag-journey">⏱️ ${round.journey.time} min · 🔄 ${round.journey.transfers} transfer${round.journey.transfers !== 1 ? 's' : ''}</div>`
+        : "";
+
+    return html`
+        <div class="tag-round">
+            ${picks}
+            ${journey}
+            <div class="tag-seed">Seed: <code>${round.seed}</code></div>
+        </div>
+    `;
+}
+
+function renderTagHistory() {
+    const historyDiv = document.getElementById("tag-history");
+    if (!TAG_HISTORY.length) {
+        historyDiv.replaceChildren();
+        return;
+    }
+
+    setHtml(historyDiv, html`
+        <h3 class="driver-title">Recent Picks</h3>
+        <ul class="tag-history-list">
+            ${TAG_HISTORY.map((round, idx) => html`
+                <li>
+                    <span>${round.mode === "pair" ? `${round.seeker} → ${round.hider}` : `${round.start ? `${round.start} → ` : ""}${round.target}`}</span>
+                    <code>${round.seed}</code>
+                    <button type="button" class="btn-replay" data-action="replay-tag" data-index="${idx}">Replay</button>
+                </li>
+            `)}
+        </ul>
+    `);
+}
+
+// Same seed, limits and exclusions as the original round, so the same pick comes back
+function replayTagRound(idx) {
+    const round = TAG_HISTORY[idx];
+    if (!round) return;
+
+    searchTagRound(round.options, replayed => {
+        setHtml(document.getElementById("tag-output"), renderTagRound(replayed || round));
+    });
+}
+
+function clearTagHistory() {
+    if (TAG_SEARCH) TAG_SEARCH.cancelled = true;
+    TAG_SEARCH = null;
+    TAG_HISTORY = [];
+    document.getElementById("tag-output").replaceChildren();
+    renderTagHistory();
+}
+
+/* =======================
+   SERVICE MAP POPUP
+======================= */
+document.getElementById("output").addEventListener("click", e => {
+    const badge = e.target.closest("[data-route]");
+    if (badge) {
+        showRouteDetails(badge.getAttribute("data-route"));
+        e.stopPropagation();
+        return;
+    }
+
+    // Clicking a result card shows that journey on the map
+    const card = e.target.closest(".route-card[data-mode]");
+    if (card && !e.target.closest(".alternatives-container")) {
+        const mode = card.getAttribute("data-mode");
+        highlightJourneyOnMap(pickJourney(LAST_JOURNEYS, mode), card.querySelector("h3").textContent);
+    }
+});
+
+function closeRouteDetails() {
+    closeDialog("route-details-popup");
+}
+
+// Dialog shared by the route and station popups, only one is open at a time
+function openPopup(label) {
+    return openDialog("route-details-popup", label, () => updateUrl(false));
+}
+
+function showRouteDetails(routeId) {
+    console.log(`Showing details for route: ${routeId}`);
+    
+    const routeInfo = ROUTE_DATA.get(routeId);
+    if (!routeInfo) {
+        alert("Route not found");
+        return;
+    }
+
+    const color = operatorColor(routeInfo.operatorCode);
+    highlightRouteOnMap(routeId);
+
+    const { container, content } = openPopup(`Route ${routeId}`);
+    container.dataset.route = routeId;
 
     // Route header
     const header = document.createElement("div");
     header.style.cssText = `
         margin-bottom: 1.5rem;
         padding-bottom: 1rem;
-        border-bottom: 3px solid ${operatorColor};
+        border-bottom: 3px solid ${color};
     `;
-    header.innerHTML = `
+    setHtml(header, html`
         <h2 style="margin: 0 0 0.5rem 0; font-size: 1.75rem; color: #2d3748;">${routeId}</h2>
-        <div style="font-size: 1rem; color: ${operatorColor}; font-weight: 600;">${routeInfo.operator} (${routeInfo.operatorCode})</div>
-    `;
+        <div style="font-size: 1rem; color: ${color}; font-weight: 600;">${routeInfo.operator} (${routeInfo.operatorCode})</div>
+    `);
     content.appendChild(header);
 
     // Compatible trains section
@@ -679,7 +2448,7 @@ function showRouteDetails(routeId) {
             padding: 1.25rem;
             background: #f8fafc;
             border-radius: 12px;
-            border-left: 4px solid ${operatorColor};
+            border-left: 4px solid ${color};
         `;
         
         const trainTitle = document.createElement("h4");
@@ -699,7 +2468,7 @@ function showRouteDetails(routeId) {
             trainCard.style.cssText = `
                 padding: 0.75rem;
                 background: white;
-                border: 2px solid ${operatorColor};
+                border: 2px solid ${color};
                 border-radius: 8px;
                 font-size: 0.85rem;
                 transition: transform 0.2s, box-shadow 0.2s;
@@ -707,19 +2476,19 @@ function showRouteDetails(routeId) {
             
             trainCard.addEventListener("mouseover", () => {
                 trainCard.style.transform = "translateY(-2px)";
-                trainCard.style.boxShadow = `0 4px 12px ${operatorColor}40`;
+                trainCard.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
             });
             trainCard.addEventListener("mouseout", () => {
                 trainCard.style.transform = "translateY(0)";
                 trainCard.style.boxShadow = "none";
             });
             
-            trainCard.innerHTML = `
-                <div style="font-weight: 700; color: ${operatorColor}; margin-bottom: 0.25rem;">${train.name}</div>
+            setHtml(trainCard, html`
+                <div style="font-weight: 700; color: ${color}; margin-bottom: 0.25rem;">${train.name}</div>
                 <div style="font-size: 0.75rem; color: #718096;">
                     ${train.propulsion === 'D' ? 'Diesel' : train.propulsion === 'E' ? 'Electric' : '🔋 ' + train.propulsion} • ${train.size} cars
                 </div>
-            `;
+            `);
             
             trainGrid.appendChild(trainCard);
         });
@@ -740,7 +2509,197 @@ function showRouteDetails(routeId) {
         noTrains.textContent = "No compatible trains found for this route";
         content.appendChild(noTrains);
     }
-    container.appendChild(content);
-    document.body.appendChild(container);
 
+    // Stop lists for both directions
+    SERVICES
+        .filter(service => service.route === routeId)
+        .forEach(service => content.appendChild(buildStopList(service, color)));
+
+    // Connecting route badges open that route, stop buttons plan from the stop
+    content.addEventListener("click", e => {
+        const connection = e.target.closest("[data-route]");
+        const stop = e.target.closest("[data-plan-from]");
+
+        if (connection) {
+            showRouteDetails(connection.getAttribute("data-route"));
+        } else if (stop) {
+            closeRouteDetails();
+            planFromStation(stop.getAttribute("data-plan-from"));
+        }
+    });
+
+    updateUrl(false);
+}
+
+function buildStopList(service, color) {
+    const section = document.createElement("div");
+    section.style.cssText = `
+        margin-bottom: 1.5rem;
+        padding: 1.25rem;
+        background: #f8fafc;
+        border-radius: 12px;
+        border-left: 4px solid ${color};
+    `;
+
+    const first = service.stops[0];
+    const last = service.stops[service.stops.length - 1];
+    const title = document.createElement("h4");
+    title.textContent = `${service.direction === "forward" ? "Forward" : "Reverse"}: ${first} → ${last} (${service.stops.length} stops)`;
+    title.style.cssText = "margin: 0 0 1rem 0; font-size: 1.1rem; font-weight: 700; color: #2d3748;";
+    section.appendChild(title);
+
+    if (!service.complete) {
+        const missing = service.stops[service.times.length - 1];
+        const warning = document.createElement("div");
+        warning.style.cssText = "margin-bottom: 0.75rem; font-size: 0.85rem; color: #c53030;";
+        warning.textContent = `Running times are missing after ${missing}`;
+        section.appendChild(warning);
+    }
+
+    service.stops.forEach((code, idx) => {
+        const time = service.times[idx];
+        const connections = [...(STATION_ROUTES.get(code) || [])]
+            .filter(id => id !== service.route)
+            .sort();
+
+        const row = document.createElement("div");
+        row.className = "route-stop" + (connections.length ? " interchange" : "");
+        setHtml(row, html`
+            <span class="route-stop-time">${time !== undefined ? `+${time} min` : "—"}</span>
+            <span class="route-stop-name">${stationLink(code)}</span>
+            <button type="button" class="route-stop-plan" data-plan-from="${code}" title="Plan a journey from ${code}">Plan from here</button>
+            ${connections.length ? html`
+            <div class="route-stop-connections">
+                ${connections.map(routeBadge)}
+            </div>` : ""}
+        `);
+        section.appendChild(row);
+    });
+
+    return section;
+}
+
+/* =======================
+   STATION DETAILS
+======================= */
+function stationLink(code) {
+    const name = STATION_DATA.get(code);
+    return html`<button type="button" class="station-link" data-station="${code}" title="Station information">${name ? `${code} - ${name}` : code}</button>`;
+}
+
+document.addEventListener("click", e => {
+    const link = e.target.closest(".station-link");
+    if (link) showStationDetails(link.getAttribute("data-station"));
+});
+
+function showStationDetails(code) {
+    if (!STATION_DATA.has(code)) return;
+
+    const info = describeStation(SERVICES, ROUTE_DATA, code);
+    const { container, content } = openPopup(`Station ${code}`);
+    container.dataset.station = code;
+
+    // Next departures need a timetable and a departure time
+    const departureInput = document.getElementById("departure").value;
+    const now = TIMETABLE && departureInput ? parseClock(departureInput) : null;
+
+    const groups = new Map();
+    info.calls.forEach(call => {
+        if (!groups.has(call.operatorCode)) groups.set(call.operatorCode, []);
+        groups.get(call.operatorCode).push(call);
+    });
+
+    const renderCall = call => {
+        let departs = null;
+        if (now !== null && !call.terminates) {
+            departs = hasTimetable(TIMETABLE, call.route, code, call.nextStops[0].code)
+                ? formatClock(nextDeparture(TIMETABLE, call.route, code, call.nextStops[0].code, now), TIMETABLE.period)
+                : "No timetable";
+        }
+
+        return html`
+            <tr>
+                <td>${routeBadge(call.route)}</td>
+                ${call.terminates
+                    ? html`<td colspan="2" class="station-terminates">Terminates here, from ${stationLink(call.origin)}</td>`
+                    : html`
+                <td>${stationLink(call.terminus)}${call.toTerminus !== null ? html` <span class="station-minutes">${call.toTerminus} min</span>` : ""}</td>
+                <td class="station-next">${joinHtml(call.nextStops.map(stop => html`${stop.code}${stop.minutes !== null ? html` <span class="station-minutes">${stop.minutes}′</span>` : ""}`), " · ")}${call.remainingStops > call.nextStops.length ? " …" : ""}</td>`}
+                ${now !== null ? html`<td>${departs || "—"}</td>` : ""}
+            </tr>
+        `;
+    };
+
+    const trainInfo = new Map(TRAIN_DATA.map(train => [train.name, train]));
+    const { direct, oneChange, twoChanges } = info.reachable;
+
+    appendHtml(content, html`
+        <div class="station-header">
+            <h2>${code}</h2>
+            <div class="station-header-name">${STATION_DATA.get(code)}</div>
+            <button type="button" class="route-stop-plan" data-plan-from="${code}">Plan from here</button>
+        </div>
+
+        <div class="station-reach" title="By train, walking links not included">
+            <div class="stat"><span class="stat-label">Direct</span>${direct}</div>
+            <div class="stat"><span class="stat-label">1 change</span>${oneChange}</div>
+            <div class="stat"><span class="stat-label">2 changes</span>${twoChanges}</div>
+        </div>
+
+        ${info.calls.length ? [...groups].map(([operatorCode, calls]) => {
+            const color = operatorColor(operatorCode);
+            return html`
+            <div class="station-operator" style="border-left-color: ${color};">
+                <h4>${calls[0].operator} (${operatorCode})</h4>
+                ${["forward", "reverse"].filter(dir => calls.some(call => call.direction === dir)).map(dir => html`
+                <table class="journey-table station-board">
+                    <thead>
+                        <tr>
+                            <th>${dir === "forward" ? "Forward" : "Reverse"}</th>
+                            <th>Terminus</th>
+                            <th>Next stops</th>
+                            ${now !== null ? html`<th>🕒 Next</th>` : ""}
+                        </tr>
+                    </thead>
+                    <tbody>${calls.filter(call => call.direction === dir).map(renderCall)}</tbody>
+                </table>
+                `)}
+            </div>
+            `;
+        }) : html`<div class="no-route">No route calls at ${code}</div>`}
+
+        ${info.trains.length ? html`
+        <div class="station-trains">
+            <h4>Train Classes (${info.trains.length})</h4>
+            <div class="station-train-list">
+                ${info.trains.map(name => {
+                    const train = trainInfo.get(name);
+                    return html`<span class="station-train" title="${train ? `${train.operator}, ${train.size} cars` : ""}">${name}</span>`;
+                })}
+            </div>
+        </div>` : ""}
+    `);
+
+    content.addEventListener("click", e => {
+        const badge = e.target.closest("[data-route]");
+        const stop = e.target.closest("[data-plan-from]");
+
+        if (badge) {
+            showRouteDetails(badge.getAttribute("data-route"));
+        } else if (stop) {
+            closeRouteDetails();
+            planFromStation(stop.getAttribute("data-plan-from"));
+        }
+    });
+
+    updateUrl(false);
+}
+
+function planFromStation(code) {
+    setStation(document.getElementById("from"), code);
+
+    if (document.getElementById("to").value) {
+        compute();
+    }
+    document.querySelector(".card").scrollIntoView({ behavior: "smooth" });
 }
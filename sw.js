@@ -0,0 +1,242 @@
+/* =======================
+   SERVICE WORKER
+   The page files are served from the cache and refreshed in the
+   background. The data files stay as they are until the page asks for
+   them to be updated, so a new data version is announced instead of
+   being swapped in silently.
+
+   The data files live in a cache of their own per version. A new version
+   is downloaded in full into a new cache, then CURRENT_DATA in the page
+   cache is pointed at it, so the page never sees files from two versions.
+======================= */
+const CACHE_NAME = "scr-route-finder";
+const DATA_CACHE_PREFIX = "scr-route-finder-data-";
+const CURRENT_DATA = "current-data-cache";
+
+const APP_FILES = [
+    "./",
+    "index.html",
+    "engine.js",
+    "html.js",
+    "router.js",
+    "styles.css",
+    "icon.png",
+    "manifest.webmanifest"
+];
+
+// version.json is kept with the data it describes
+const DATA_FILES = [
+    "version.json",
+    "segments.json",
+    "routes.json",
+    "stations.json",
+    "trains.json",
+    "invalid_routes.json",
+    "interchanges.json",
+    "fares.json",
+    "timetables.json",
+    "coordinates.json",
+    "whats_new.json"
+];
+
+// Missing on some deployments, a 404 leaves them out of the data set
+const OPTIONAL_DATA_FILES = ["timetables.json", "coordinates.json", "whats_new.json"];
+
+function fileName(url) {
+    const path = new URL(url, self.location).pathname;
+    return path.slice(path.lastIndexOf("/") + 1);
+}
+
+// Page files are cached one by one, a missing one is fetched again when used
+async function cacheFiles(files) {
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(files.map(async file => {
+        try {
+            const res = await fetch(file, { cache: "no-cache" });
+            if (res.ok) await cache.put(file, res);
+        } catch (error) {
+            console.warn(`Could not cache ${file}`, error);
+        }
+    }));
+}
+
+async function notifyClients(message) {
+    // Pages opened with a hard reload are not controlled but still listen
+    const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/* =======================
+   DATA SETS
+======================= */
+// null until a data set has been stored
+async function currentDataCache() {
+    const pointer = await (await caches.open(CACHE_NAME)).match(CURRENT_DATA);
+    return pointer ? caches.open(await pointer.text()) : null;
+}
+
+// Every data file, or an error if a required one can't be downloaded
+async function fetchDataSet() {
+    const files = await Promise.all(DATA_FILES.map(async file => {
+        const res = await fetch(file, { cache: "no-cache" });
+        if (res.ok) return { file, res };
+        if (res.status === 404 && OPTIONAL_DATA_FILES.includes(file)) return null;
+        throw new Error(`${file}: HTTP ${res.status}`);
+    }));
+    return files.filter(Boolean);
+}
+
+// Stores the files in a new cache and only then switches to it, the old
+// caches are deleted once nothing points at them
+async function storeDataSet(files) {
+    const version = files.find(({ file }) => file === "version.json");
+    const { data_version } = await version.res.clone().json();
+    const name = `${DATA_CACHE_PREFIX}${data_version}-${Date.now()}`;
+
+    try {
+        const cache = await caches.open(name);
+        await Promise.all(files.map(({ file, res }) => cache.put(file, res)));
+        await (await caches.open(CACHE_NAME)).put(CURRENT_DATA, new Response(name));
+    } catch (error) {
+        await caches.delete(name);
+        throw error;
+    }
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(old => old.startsWith(DATA_CACHE_PREFIX) && old !== name)
+        .map(old => caches.delete(old)));
+}
+
+async function refreshData() {
+    await storeDataSet(await fetchDataSet());
+}
+
+// Workers before the data caches kept the data files in the page cache,
+// they become the first data set so an update doesn't swap them silently
+async function adoptCachedData() {
+    const pageCache = await caches.open(CACHE_NAME);
+    if (!await pageCache.match("version.json")) return false;
+
+    const files = [];
+    for (const file of DATA_FILES) {
+        const res = await pageCache.match(file);
+        if (res) {
+            files.push({ file, res });
+        } else if (!OPTIONAL_DATA_FILES.includes(file)) {
+            return false;
+        }
+    }
+
+    await storeDataSet(files);
+    await Promise.all(DATA_FILES.map(file => pageCache.delete(file)));
+    return true;
+}
+
+async function ensureDataSet() {
+    if (await currentDataCache() || await adoptCachedData()) return;
+    try {
+        await refreshData();
+    } catch (error) {
+        // Offline on the first visit, the data is fetched from the network until a set is stored
+        console.warn("Could not cache the data files", error);
+    }
+}
+
+/* =======================
+   DATA VERSION CHECK
+======================= */
+async function checkDataVersion() {
+    const cache = await currentDataCache();
+    const cached = cache && await cache.match("version.json");
+    if (!cached) return ensureDataSet();
+
+    try {
+        const res = await fetch("version.json", { cache: "no-cache" });
+        if (!res.ok) return;
+
+        const [current, latest] = await Promise.all([cached.json(), res.json()]);
+        if (latest.data_version !== current.data_version) {
+            notifyClients({ type: "data-update", current: current.data_version, latest: latest.data_version });
+        }
+    } catch (error) {
+        // Offline, the cached data is all there is
+    }
+}
+
+/* =======================
+   LIFECYCLE
+======================= */
+self.addEventListener("install", event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.keys())
+            .then(keys => {
+                // Only fill in what is missing, the page files are refreshed as they are used
+                const cached = new Set(keys.map(request => fileName(request.url)));
+                return cacheFiles(APP_FILES.filter(file => !cached.has(fileName(file))));
+            })
+            .then(ensureDataSet)
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", event => {
+    if (event.data && event.data.type === "refresh-data") {
+        event.waitUntil(
+            refreshData().then(
+                () => notifyClients({ type: "data-refreshed" }),
+                error => {
+                    console.warn("Data not refreshed, the cached version is kept", error);
+                    return notifyClients({ type: "data-refresh-failed" });
+                }
+            )
+        );
+    }
+});
+
+/* =======================
+   FETCH
+======================= */
+self.addEventListener("fetch", event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    const file = fileName(url);
+
+    if (DATA_FILES.includes(file)) {
+        if (file === "version.json") event.waitUntil(checkDataVersion());
+
+        // Nothing is cached here, a file from the network could belong to another version
+        event.respondWith(
+            currentDataCache()
+                .then(cache => cache && cache.match(file))
+                .then(cached => cached || fetch(event.request))
+        );
+        return;
+    }
+
+    // Page files: cached copy first, refreshed for the next visit
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => cache.match(event.request, { ignoreSearch: true })).then(cached => {
+            const network = fetch(event.request).then(res => {
+                if (res.ok) {
+                    // Shared links differ only by their query, one copy of the page is enough
+                    const copy = res.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(url.origin + url.pathname, copy));
+                }
+                return res;
+            });
+
+            if (cached) {
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            return network;
+        })
+    );
+});
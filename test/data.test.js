@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DATA_FILES, loadData, buildNetwork } = require("../engine.js");
+const { loadDataFiles } = require("../load-data.js");
+const { validateData } = require("../tools/validate-data.js");
+
+const ROOT = path.join(__dirname, "..");
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+
+/* =======================
+   LOADING
+======================= */
+test("loadData reads every data file", async () => {
+    const data = await loadData(readJson);
+
+    assert.deepEqual(Object.keys(data).sort(), DATA_FILES.map(f => f.key).sort());
+    DATA_FILES.forEach(({ key, file }) => {
+        assert.equal(Boolean(data[key]), fs.existsSync(path.join(ROOT, file)), key);
+    });
+});
+
+test("loadData turns missing optional files into null", async () => {
+    const optional = new Set(DATA_FILES.filter(f => f.optional).map(f => f.file));
+    const data = await loadData(async file => {
+        if (optional.has(file)) throw new Error(`${file} not found`);
+        return readJson(file);
+    });
+
+    DATA_FILES.forEach(({ key, optional }) => {
+        if (optional) assert.equal(data[key], null, key);
+        else assert.ok(data[key], key);
+    });
+});
+
+test("loadData fails when a required file is missing", async () => {
+    await assert.rejects(
+        loadData(file => {
+            if (file === "segments.json") throw new Error("segments.json not found");
+            return readJson(file);
+        }),
+        /segments\.json not found/
+    );
+});
+
+test("loadDataFiles reads a directory without the optional files", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scr-data-"));
+    try {
+        DATA_FILES.filter(f => !f.optional).forEach(({ file }) => {
+            fs.copyFileSync(path.join(ROOT, file), path.join(dir, file));
+        });
+        const data = loadDataFiles(dir);
+
+        assert.equal(data.timetablesData, null);
+        assert.equal(data.coordinatesData, null);
+        assert.equal(data.invalidRoutesData, null);
+
+        const network = buildNetwork(data);
+        assert.equal(network.timetable, null);
+        assert.equal(network.coordinates, null);
+        assert.deepEqual(network.invalidRoutes, {});
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("loadDataFiles names the required file a directory is missing", () => {
+    assert.throws(() => loadDataFiles(path.join(ROOT, "no-such-dir")), /segments\.json not found/);
+});
+
+/* =======================
+   NETWORK
+======================= */
+test("buildNetwork links the data files together", () => {
+    const data = loadDataFiles(ROOT);
+    const network = buildNetwork(data);
+
+    assert.deepEqual(network.stationList, [...network.stationList].sort());
+    network.stationList.forEach(code => {
+        assert.ok(network.stations.has(code), `${code} is not in stations.json`);
+        assert.ok(network.graph.has(code), `${code} has no departures`);
+    });
+
+    data.routesData.routes.forEach(route => {
+        assert.ok(network.operators.includes(network.routeData.get(route.name).operatorCode), route.name);
+    });
+
+    assert.deepEqual(network.version, readJson("version.json"));
+    assert.ok(network.coordinates);
+});
+
+test("invalid_routes.json is up to date", () => {
+    assert.deepEqual(validateData(loadDataFiles(ROOT)), readJson("invalid_routes.json"),
+        "run: node tools/validate-data.js --write");
+});
+
+test("validateData reports segment stations missing from stations.json", () => {
+    const data = loadDataFiles(ROOT);
+    const segment = data.segmentsData.segments.find(s => s.routes.some(r => r.route === "R052"));
+    data.segmentsData.segments.push({ ...segment, to: "XXX" });
+
+    const issues = validateData(data).invalid_routes;
+    segment.routes.forEach(({ route }) => {
+        assert.ok(issues[route].includes(`MAJOR : Station XXX in segment ${segment.from} → XXX is not defined in stations.json`), route);
+    });
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { diffData, formatMarkdown, readDirectory } = require("../tools/diff-data.js");
+
+const ROOT = path.join(__dirname, "..");
+
+// The current data with one change of every kind
+function updatedData(data) {
+    const next = structuredClone(data);
+    next.versionData.data_version = "9.9.9";
+
+    next.stationsData.stations.push({ code: "NEW", name: "New Town" });
+    next.stationsData.stations.find(s => s.code === "SCN").name = "Stepford Central Parkway";
+
+    const routes = new Map(next.routesData.routes.map(r => [r.name, r]));
+    routes.get("R052").operator = "Metro";
+    routes.get("R001").stations_forward = routes.get("R001").stations_forward.filter(code => code !== "SHB");
+    routes.get("R001").compatible_trains = routes.get("R001").compatible_trains.slice(1).concat("Class 999");
+    next.routesData.routes = next.routesData.routes.filter(r => r.name !== "R002");
+    next.segmentsData.segments.forEach(segment => {
+        segment.routes = segment.routes.filter(r => r.route !== "R002");
+    });
+
+    const segment = next.segmentsData.segments.find(s => s.from === "SCN" && s.routes.some(r => r.route === "R052"));
+    const r052 = segment.routes.find(r => r.route === "R052");
+    r052.duration_minutes += 10;
+
+    next.trainsData.trains.push({ name: "Class 999", operator: "Metro", propulsion: "E", size: 4 });
+    next.trainsData.trains[0].size += 1;
+
+    return { next, segment, oldTime: r052.duration_minutes - 10 };
+}
+
+test("diffData reports every kind of change", () => {
+    const data = readDirectory(ROOT);
+    const { next, segment, oldTime } = updatedData(data);
+    const diff = diffData(data, next);
+
+    assert.equal(diff.from_version, data.versionData.data_version);
+    assert.equal(diff.to_version, "9.9.9");
+
+    assert.deepEqual(diff.stations.added, [{ code: "NEW", name: "New Town" }]);
+    assert.deepEqual(diff.stations.removed, []);
+    assert.deepEqual(diff.stations.renamed, [{ code: "SCN", before: "Stepford Central", after: "Stepford Central Parkway" }]);
+
+    assert.deepEqual(diff.routes.added, []);
+    assert.deepEqual(diff.routes.removed.map(r => r.route), ["R002"]);
+    const r001 = diff.routes.changed.find(c => c.route === "R001");
+    assert.deepEqual(r001.trains_added, ["Class 999"]);
+    assert.deepEqual(r001.trains_removed, [data.routesData.routes[0].compatible_trains[0]]);
+    assert.ok(r001.stations_forward);
+    assert.equal(r001.stations_reverse, undefined);
+    assert.deepEqual(diff.routes.changed.find(c => c.route === "R052").operator, { before: "AirLink", after: "Metro" });
+
+    // R002 is gone, its segments are not listed one by one
+    assert.ok(diff.segments.removed.every(s => s.route !== "R002"));
+    assert.deepEqual(diff.segments.changed, [
+        { route: "R052", from: segment.from, to: segment.to, before: oldTime, after: oldTime + 10 }
+    ]);
+
+    assert.deepEqual(diff.trains.added, ["Class 999"]);
+    assert.deepEqual(diff.trains.changed.map(t => Object.keys(t)), [["name", "size"]]);
+
+    assert.ok(diff.journeys.sampled > 0);
+    assert.ok(diff.journeys.changed.length > 0);
+    assert.ok(diff.journeys.changed.every(j => j.before !== j.after));
+});
+
+test("the same data has no changes", () => {
+    const data = readDirectory(ROOT);
+    const diff = diffData(data, data, 12);
+
+    assert.deepEqual(diff.journeys.changed, []);
+    const markdown = formatMarkdown(diff);
+    assert.equal(markdown.split("No changes.").length - 1, 4);
+    assert.match(markdown, /0 of \d+ sampled journeys changed\./);
+});
+
+test("formatMarkdown lists the changes for release notes", () => {
+    const data = readDirectory(ROOT);
+    const { next } = updatedData(data);
+    const markdown = formatMarkdown(diffData(data, next, 12));
+
+    assert.match(markdown, /^## Data changes \S+ → 9\.9\.9$/m);
+    assert.match(markdown, /^- Added NEW New Town$/m);
+    assert.match(markdown, /^- SCN renamed from Stepford Central to Stepford Central Parkway$/m);
+    assert.match(markdown, /^- Removed R002 \(/m);
+    assert.match(markdown, /^- R052 now run by Metro instead of AirLink$/m);
+    assert.match(markdown, /^- R001 forward: no longer calls at SHB$/m);
+    assert.match(markdown, /^- R001 trains added: Class 999$/m);
+    assert.match(markdown, /^- R052 SCN → \w+: \d+ → \d+ min$/m);
+    assert.match(markdown, /^\| From \| To \| Mode \| Before \| After \|$/m);
+});
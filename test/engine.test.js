@@ -0,0 +1,513 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    SEARCH_MODES,
+    buildRouteData,
+    startLabels,
+    extendLabel,
+    labelToResult,
+    findPath,
+    findReachable,
+    parseClock,
+    buildTimetable,
+    findTimedJourney,
+    generateTagRound,
+    tagRoundSearch,
+    findJourneys,
+    pickJourney,
+    matchTrains,
+    findTrainRoutes,
+    findTrainJourney,
+    extractSegments,
+    findEquivalentRoutes,
+    itineraryKey,
+    findAlternativePaths,
+    exportJourney,
+    formatJourneyText,
+    saveJourney,
+    checkSavedJourney,
+    readProfile
+} = require("../engine.js");
+const { buildFixture, MODES_NETWORK, MODES_PRICING } = require("./fixtures.js");
+
+const MODES = Object.keys(SEARCH_MODES);
+
+// Every journey from `from` to `to` that never calls at a station twice
+function allJourneys(graph, from, to, pricing) {
+    const found = [];
+    const walk = (label, seen) => {
+        if (label.station === to) {
+            found.push(labelToResult(label));
+            return;
+        }
+        for (const e of graph.get(label.station) || []) {
+            if (seen.has(e.to)) continue;
+            walk(extendLabel(label, e, pricing), new Set(seen).add(e.to));
+        }
+    };
+    startLabels(graph, from).forEach(label => walk(label, new Set([from])));
+    return found;
+}
+
+const routesOf = journey => extractSegments(journey.path).map(seg => seg.route);
+
+/* =======================
+   SEARCH MODES
+======================= */
+test("each mode picks its own journey", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+
+    const balanced = findPath(graph, "A", "D", "balanced", MODES_PRICING);
+    assert.deepEqual(routesOf(balanced), ["R2", "R3"]);
+    assert.equal(balanced.time, 6);
+    assert.equal(balanced.transfers, 1);
+
+    const direct = findPath(graph, "A", "D", "direct", MODES_PRICING);
+    assert.deepEqual(routesOf(direct), ["R1"]);
+    assert.equal(direct.time, 15);
+    assert.equal(direct.transfers, 0);
+
+    const cheap = findPath(graph, "A", "D", "cheap", MODES_PRICING);
+    assert.deepEqual(routesOf(cheap), ["R4"]);
+    assert.equal(cheap.cost, 4);
+});
+
+test("findPath is as good as any journey in every mode", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const stations = ["A", "B", "C", "D", "E", "F", "G", "H"];
+
+    for (const mode of MODES) {
+        const compare = SEARCH_MODES[mode];
+        for (const from of stations) {
+            for (const to of stations) {
+                if (from === to) continue;
+                const best = allJourneys(graph, from, to, MODES_PRICING).sort(compare)[0];
+                const found = findPath(graph, from, to, mode, MODES_PRICING);
+                assert.equal(compare(found, best), 0, `${mode} ${from} → ${to}`);
+            }
+        }
+    }
+});
+
+test("the transfer penalty keeps balanced on the through train", () => {
+    // 10 min direct against 4 min with a change, which scores 9
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B"], minutes: 10 },
+        { name: "R2", operator: "MT", stops: ["A", "C"], minutes: 2 },
+        { name: "R3", operator: "MT", stops: ["C", "B"], minutes: 2 },
+        { name: "R4", operator: "CN", stops: ["P", "Q"], minutes: 10 },
+        { name: "R5", operator: "MT", stops: ["P", "S"], minutes: 3 },
+        { name: "R6", operator: "MT", stops: ["S", "Q"], minutes: 3 }
+    ]);
+
+    assert.deepEqual(routesOf(findPath(graph, "A", "B", "balanced", {})), ["R2", "R3"]);
+    // 6 min with a change scores 11, the through train wins
+    assert.deepEqual(routesOf(findPath(graph, "P", "Q", "balanced", {})), ["R4"]);
+});
+
+test("pickJourney agrees with findPath", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const journeys = findJourneys(graph, "A", "D", MODES_PRICING);
+
+    assert.equal(journeys.length, 3);
+    for (const mode of MODES) {
+        const picked = pickJourney(journeys, mode);
+        const found = findPath(graph, "A", "D", mode, MODES_PRICING);
+        assert.deepEqual([routesOf(picked), picked.time, picked.cost], [routesOf(found), found.time, found.cost], mode);
+    }
+});
+
+test("a ticket close to its cap is not beaten by a cheaper one so far", () => {
+    // At C the R1 ticket has reached its cap of 14, the change from R2 has
+    // paid 11 so far but its R1 ticket still has 6 to go before the cap
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "C", "D", "E"], minutes: 2 },
+        { name: "R2", operator: "MT", stops: ["A", "B"], minutes: 2 }
+    ]);
+    const pricing = { CN: { per_stop: 8, cap: 14 }, MT: 3 };
+
+    const cheap = findPath(graph, "A", "E", "cheap", pricing);
+    assert.deepEqual(routesOf(cheap), ["R1"]);
+    assert.equal(cheap.cost, 14);
+
+    const best = allJourneys(graph, "A", "E", pricing).sort(SEARCH_MODES.cheap)[0];
+    assert.equal(SEARCH_MODES.cheap(cheap, best), 0);
+    assert.deepEqual(pickJourney(findJourneys(graph, "A", "E", pricing), "cheap"), cheap);
+    assert.equal(findReachable(graph, "A", "cheap", pricing).get("E").cost, 14);
+});
+
+test("a via station keeps the ticket it is ridden through on", () => {
+    // R1 all the way: boarding once, then capped at 10. Priced leg by leg it
+    // would board twice and pay 8 + 8.
+    const { routesData, segmentsData, graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "C"], minutes: 2 }
+    ]);
+    const pricing = { CN: { boarding: 5, per_stop: 3, cap: 10 } };
+    const via = { via: ["B"] };
+    const timetable = buildTimetable({ routes: {} }, routesData, segmentsData);
+
+    assert.deepEqual(findJourneys(graph, "A", "C", pricing, via).map(j => j.cost), [10]);
+    assert.equal(findTimedJourney(graph, timetable, "A", "C", 0, pricing, via).cost, 10);
+    assert.equal(findTrainJourney(graph, "A", "C", ["R1"], pricing, via).cost, 10);
+});
+
+/* =======================
+   UNREACHABLE STATIONS
+======================= */
+test("unreachable pairs return null", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+
+    for (const mode of MODES) {
+        assert.equal(findPath(graph, "A", "Z", mode, MODES_PRICING), null, mode);
+        assert.equal(findPath(graph, "Y", "D", mode, MODES_PRICING), null, mode);
+        assert.equal(findPath(graph, "A", "NOWHERE", mode, MODES_PRICING), null, mode);
+        assert.equal(findPath(graph, "NOWHERE", "A", mode, MODES_PRICING), null, mode);
+        assert.equal(findReachable(graph, "A", mode, MODES_PRICING).has("Z"), false, mode);
+    }
+
+    assert.deepEqual(findJourneys(graph, "A", "Z", MODES_PRICING), []);
+    assert.equal(pickJourney([], "balanced"), null);
+});
+
+test("constraints can make a pair unreachable", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+
+    assert.deepEqual(findJourneys(graph, "A", "D", MODES_PRICING, { excludeOperators: ["CN", "MT", "WL"] }), []);
+    assert.deepEqual(findJourneys(graph, "A", "D", MODES_PRICING, { avoidStations: ["B", "E", "F"] }), []);
+    assert.deepEqual(findJourneys(graph, "A", "D", MODES_PRICING, { via: ["Z"] }), []);
+});
+
+/* =======================
+   SEGMENTS
+======================= */
+test("extractSegments splits at every change", () => {
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "C"], minutes: [2, 3] },
+        { name: "R2", operator: "MT", stops: ["C", "D", "E"], minutes: [4, 5] },
+        { name: "R3", operator: "WL", stops: ["E", "F"], minutes: 1 }
+    ]);
+    const journey = findPath(graph, "A", "F", "balanced", {});
+    const segments = extractSegments(journey.path);
+
+    assert.deepEqual(segments.map(seg => ({
+        route: seg.route,
+        operator: seg.operator,
+        from: seg.from,
+        to: seg.to,
+        stations: seg.stations,
+        time: seg.time,
+        steps: seg.steps.length
+    })), [
+        { route: "R1", operator: "CN", from: "A", to: "C", stations: ["A", "B", "C"], time: 5, steps: 2 },
+        { route: "R2", operator: "MT", from: "C", to: "E", stations: ["C", "D", "E"], time: 9, steps: 2 },
+        { route: "R3", operator: "WL", from: "E", to: "F", stations: ["E", "F"], time: 1, steps: 1 }
+    ]);
+    assert.deepEqual(segments.map(seg => seg.steps[0].transfer), [false, true, true]);
+});
+
+test("extractSegments splits on a transfer back onto the same route", () => {
+    const step = (from, to, transfer) => ({ from, to, route: "R1", operator: "CN", time: 1, transfer });
+    const segments = extractSegments([step("A", "B", false), step("B", "C", false), step("C", "D", true)]);
+
+    assert.deepEqual(segments.map(seg => seg.stations), [["A", "B", "C"], ["C", "D"]]);
+    assert.deepEqual(extractSegments([]), []);
+});
+
+test("findEquivalentRoutes lists same operator routes on the hop", () => {
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "C", "D"], minutes: 2 },
+        // Same stops, same operator
+        { name: "R2", operator: "CN", stops: ["A", "B", "C", "D", "E"], minutes: 3 },
+        // Same stops, another operator
+        { name: "R3", operator: "MT", stops: ["A", "B", "C", "D"], minutes: 3 },
+        // Leaves the segment half way
+        { name: "R4", operator: "CN", stops: ["A", "B", "X"], minutes: 2 },
+        // Skips B
+        { name: "R5", operator: "CN", stops: ["A", "C", "D"], minutes: 5 }
+    ]);
+
+    assert.deepEqual(
+        findEquivalentRoutes(graph, { route: "R1", operator: "CN", from: "A", to: "B", stations: ["A", "B"] }).sort(),
+        ["R2", "R4"]
+    );
+    assert.deepEqual(findEquivalentRoutes(graph, { route: "R3", operator: "MT", from: "A", to: "B", stations: ["A", "B"] }), []);
+});
+
+/* =======================
+   ALTERNATIVE ROUTES
+======================= */
+test("alternatives start from the card's journey and follow its mode", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const journeys = findJourneys(graph, "A", "D", MODES_PRICING);
+
+    Object.keys(SEARCH_MODES).forEach(mode => {
+        const card = pickJourney(journeys, mode);
+        const alternatives = findAlternativePaths(graph, "A", "D", mode, MODES_PRICING, 4, card);
+        const keys = alternatives.map(r => itineraryKey(graph, r));
+
+        assert.equal(alternatives.length, 3, mode);
+        assert.equal(keys[0], itineraryKey(graph, card), mode);
+        assert.equal(new Set(keys).size, keys.length, mode);
+        assert.deepEqual(alternatives, alternatives.slice().sort(SEARCH_MODES[mode]), mode);
+    });
+});
+
+test("an alternative can stay on a route that leaves the first journey later", () => {
+    // R2 shares A-B with R1 but is not the same journey: it goes on via C
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "E"], minutes: [2, 4] },
+        { name: "R2", operator: "CN", stops: ["A", "B", "C", "E"], minutes: 2 }
+    ]);
+
+    Object.keys(SEARCH_MODES).forEach(mode => {
+        const alternatives = findAlternativePaths(graph, "A", "E", mode, {}, 4);
+        const r2 = alternatives.find(r => routesOf(r).join() === "R2");
+
+        assert.ok(r2, mode);
+        assert.deepEqual([r2.time, r2.transfers], [6, 0], mode);
+    });
+});
+
+test("there are no alternatives to staying at the station", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+
+    assert.deepEqual(findAlternativePaths(graph, "A", "A", "balanced", MODES_PRICING, 4), []);
+});
+
+/* =======================
+   TIMETABLES
+======================= */
+test("routes without a timetable are marked and never waited for", () => {
+    const { graph, routesData, segmentsData } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B"], minutes: 5 },
+        { name: "R2", operator: "MT", stops: ["B", "C"], minutes: 4 }
+    ]);
+    // A default entry would be made-up times for every other route
+    const timetable = buildTimetable({
+        default: { headway_minutes: 15 },
+        routes: { R1: { headway_minutes: 30, first_departure: "08:00" } }
+    }, routesData, segmentsData);
+
+    const journey = findTimedJourney(graph, timetable, "A", "C", parseClock("07:50"), MODES_PRICING);
+    assert.deepEqual(journey.path.map(step => [step.route, step.departs, step.wait, step.noTimetable]), [
+        ["R1", parseClock("08:00"), 10, undefined],
+        ["R2", parseClock("08:05"), undefined, true]
+    ]);
+
+    const exported = exportJourney({ graph, stations: new Map(), timetable }, journey, MODES_PRICING);
+    assert.deepEqual(exported.segments.map(seg => seg.noTimetable), [false, true]);
+    assert.match(formatJourneyText(exported), /B → C · .* · 08:05–08:09 \(no timetable\)\n/);
+});
+
+/* =======================
+   EXPORT
+======================= */
+test("exportJourney lists every segment and stop in card order", () => {
+    const { graph } = buildFixture([
+        { name: "R1", operator: "CN", stops: ["A", "B", "C"], minutes: [2, 3] },
+        { name: "R5", operator: "CN", stops: ["A", "B", "C"], minutes: [2, 3] },
+        { name: "R2", operator: "MT", stops: ["C", "D"], minutes: 4 }
+    ]);
+    const stations = new Map([["A", "Alpha"], ["C", "Gamma"]]);
+    const journey = findPath(graph, "A", "D", "balanced", MODES_PRICING);
+    const exported = exportJourney({ graph, stations, timetable: null }, journey, MODES_PRICING, { title: "Test" });
+
+    assert.equal(exported.fromName, "Alpha");
+    assert.equal(exported.toName, "D");
+    assert.equal(exported.cost, 40);
+    assert.equal(exported.departure, undefined);
+    assert.deepEqual(exported.segments.map(seg => [seg.route, seg.operatorName, seg.equivalents, seg.fare, seg.transfer]), [
+        ["R1", "Stepford Connect", [], 20, false],
+        ["R2", "Metro", [], 20, true]
+    ]);
+    assert.deepEqual(exported.segments[0].stops.map(stop => [stop.code, stop.name, stop.minutes]), [
+        ["A", "Alpha", 0],
+        ["B", "B", 2],
+        ["C", "Gamma", 5]
+    ]);
+
+    assert.equal(formatJourneyText(exported, true), [
+        "**Alpha (A) → D** · Test",
+        "9 min · 1 transfer · cost 40 · 0 points",
+        "",
+        "- Alpha (A) → Gamma (C) · **R1** Stepford Connect · 5 min, 2 stops · fare 20 · 0 points",
+        "- _Transfer_",
+        "- Gamma (C) → D · **R2** Metro · 4 min, 1 stop · fare 20 · 0 points",
+        ""
+    ].join("\n"));
+});
+
+test("exportJourney takes a journey that stays at its station", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const stations = new Map([["A", "Alpha"]]);
+    const journey = findPath(graph, "A", "A", "balanced", MODES_PRICING);
+    const exported = exportJourney({ graph, stations, timetable: null }, journey, MODES_PRICING);
+
+    assert.deepEqual([exported.from, exported.to, exported.time, exported.segments], ["A", "A", 0, []]);
+    assert.equal(formatJourneyText(exported), ["Alpha (A) → Alpha (A)", "0 min · 0 transfers · cost 0 · 0 points", "", ""].join("\n"));
+});
+
+/* =======================
+   TAG GAME
+======================= */
+test("a pair round reports every seeker it checks and gives up when nothing fits", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const stations = [...graph.keys()];
+    const options = { mode: "pair", seed: "test", minTime: 1000 };
+
+    const search = tagRoundSearch(graph, stations, MODES_PRICING, options);
+    const progress = [];
+    let step = search.next();
+    while (!step.done) {
+        progress.push(step.value);
+        step = search.next();
+    }
+
+    assert.equal(step.value, null);
+    assert.deepEqual(progress.map(p => p.done), stations.map((code, i) => i + 1));
+    progress.forEach(p => assert.equal(p.total, stations.length));
+    assert.equal(generateTagRound(graph, stations, MODES_PRICING, options), null);
+});
+
+test("a pair round's journey is the one findPath finds", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const round = generateTagRound(graph, [...graph.keys()], MODES_PRICING, { mode: "pair", seed: "test", minTime: 10 });
+
+    assert.ok(round.journey.time >= 10);
+    assert.deepEqual(round.journey, findPath(graph, round.seeker, round.hider, "balanced", MODES_PRICING));
+    assert.deepEqual(generateTagRound(graph, [...graph.keys()], MODES_PRICING, { mode: "pair", seed: "test", minTime: 10 }), round);
+});
+
+/* =======================
+   TRAINS
+======================= */
+const TRAINS = [
+    { name: "Class 43 (HST) 7-car", operator: "Stepford Connect", propulsion: "D", size: 9 },
+    { name: "Class 158", operator: "Metro", propulsion: "D", size: 2 },
+    { name: "Class 377", operator: "Waterline", propulsion: "E", size: 4 }
+];
+const TRAINS_NETWORK = MODES_NETWORK.map(route => ({
+    ...route,
+    trains: { R1: ["Class 43 (HST) 7-car"], R2: ["Class 158"], R3: ["Class 158"], R4: ["Class 377"] }[route.name]
+}));
+
+test("matchTrains filters by name, propulsion and size", () => {
+    const names = filter => matchTrains(TRAINS, filter).map(train => train.name);
+
+    assert.deepEqual(names({ name: "class 43 hst" }), ["Class 43 (HST) 7-car"]);
+    assert.deepEqual(names({ propulsion: "D" }), ["Class 43 (HST) 7-car", "Class 158"]);
+    assert.deepEqual(names({ minSize: 4 }), ["Class 43 (HST) 7-car", "Class 377"]);
+    assert.deepEqual(names({ name: "Class", propulsion: "E", minSize: 5 }), []);
+    assert.equal(names({}).length, TRAINS.length);
+});
+
+test("onlyRoutes keeps the search on routes a matching train runs", () => {
+    const { routesData, graph } = buildFixture(TRAINS_NETWORK);
+    const routeData = buildRouteData(routesData);
+
+    const diesel = findTrainRoutes(routeData, matchTrains(TRAINS, { propulsion: "D" }));
+    assert.deepEqual(diesel, ["R1", "R2", "R3"]);
+
+    const hst = findTrainRoutes(routeData, matchTrains(TRAINS, { name: "HST" }));
+    const journeys = findJourneys(graph, "A", "D", MODES_PRICING, { onlyRoutes: hst });
+    assert.deepEqual(journeys.map(routesOf), [["R1"]]);
+    assert.deepEqual(findJourneys(graph, "Z", "Y", MODES_PRICING, { onlyRoutes: hst }), []);
+});
+
+test("findTrainJourney spends as much of the journey as it can on the routes", () => {
+    const { graph } = buildFixture(TRAINS_NETWORK);
+
+    // Slower than R2 and R3 but all on the preferred train
+    const hst = findTrainJourney(graph, "A", "D", ["R1"], MODES_PRICING);
+    assert.deepEqual(routesOf(hst), ["R1"]);
+    assert.deepEqual([hst.time, hst.trainTime], [15, 15]);
+
+    // R2 only goes part of the way, the rest is the fastest
+    const partial = findTrainJourney(graph, "A", "D", ["R2"], MODES_PRICING);
+    assert.deepEqual(routesOf(partial), ["R2", "R3"]);
+    assert.deepEqual([partial.time, partial.trainTime], [6, 3]);
+
+    const via = findTrainJourney(graph, "A", "D", ["R1"], MODES_PRICING, { via: ["E"] });
+    assert.deepEqual(routesOf(via), ["R2", "R3"]);
+    assert.equal(via.trainTime, 0);
+
+    assert.equal(findTrainJourney(graph, "A", "Z", ["R1"], MODES_PRICING), null);
+});
+
+/* =======================
+   SAVED JOURNEYS
+======================= */
+const SEARCH = { from: "A", to: "D", departure: null, constraints: { via: [], avoidStations: [], excludeRoutes: [], excludeOperators: [] } };
+
+function savedOn(network, mode) {
+    const { graph } = buildFixture(network);
+    return saveJourney("Home", SEARCH, findPath(graph, "A", "D", mode, MODES_PRICING), mode);
+}
+
+test("a saved journey replays on the same data", () => {
+    const { graph } = buildFixture(MODES_NETWORK);
+    const saved = savedOn(MODES_NETWORK, "balanced");
+    const check = checkSavedJourney(graph, saved, MODES_PRICING);
+
+    assert.equal(check.status, "ok");
+    assert.deepEqual([check.journey.time, check.journey.transfers, check.journey.cost], [saved.time, saved.transfers, saved.cost]);
+    assert.deepEqual(routesOf(check.journey), ["R2", "R3"]);
+});
+
+test("a saved journey is flagged when a hop no longer runs", () => {
+    const saved = savedOn(MODES_NETWORK, "balanced");
+    const { graph } = buildFixture(MODES_NETWORK.filter(route => route.name !== "R3"));
+    const check = checkSavedJourney(graph, saved, MODES_PRICING);
+
+    assert.equal(check.status, "gone");
+    assert.equal(check.journey, null);
+    assert.deepEqual(routesOf(check.best), ["R1"]);
+});
+
+test("a saved journey is flagged when its search finds a better one", () => {
+    const saved = savedOn(MODES_NETWORK, "direct");
+    const faster = [...MODES_NETWORK, { name: "R7", operator: "CN", stops: ["A", "D"], minutes: 4 }];
+    const check = checkSavedJourney(buildFixture(faster).graph, saved, MODES_PRICING);
+
+    assert.equal(check.status, "better");
+    assert.deepEqual(routesOf(check.journey), ["R1"]);
+    assert.deepEqual(routesOf(check.best), ["R7"]);
+
+    // Slower hops are reported with the new times, the journey still runs
+    const slower = MODES_NETWORK.map(route => route.name === "R1" ? { ...route, minutes: 7 } : route);
+    const rechecked = checkSavedJourney(buildFixture(slower).graph, saved, MODES_PRICING);
+    assert.equal(rechecked.status, "ok");
+    assert.equal(rechecked.journey.time, 21);
+});
+
+/* =======================
+   PROFILE
+======================= */
+test("readProfile fills in a partial profile", () => {
+    const saved = savedOn(MODES_NETWORK, "cheap");
+    const profile = readProfile({ version: 1, prices: { CN: 4 }, journeys: [{ ...saved, mode: "fastest", constraints: undefined }] });
+
+    assert.deepEqual(profile.prices, { CN: 4 });
+    assert.equal(profile.mode, "balanced");
+    assert.equal(profile.palette, "standard");
+    assert.deepEqual([profile.favourites, profile.recent], [[], []]);
+    assert.equal(profile.journeys[0].mode, "balanced");
+    assert.deepEqual(profile.journeys[0].constraints.via, []);
+    assert.equal(profile.journeys[0].constraints.trains, null);
+
+    const trains = readProfile({ version: 1, journeys: [{ ...saved, constraints: { trains: { name: "HST", propulsion: "X" }, onlyRoutes: ["R1"] } }] });
+    assert.deepEqual(trains.journeys[0].constraints.trains, { name: "HST", propulsion: "", minSize: null, prefer: false });
+    assert.deepEqual(trains.journeys[0].constraints.onlyRoutes, ["R1"]);
+    assert.deepEqual(profile.journeys[0].path, saved.path);
+});
+
+test("readProfile rejects what it cannot use", () => {
+    const saved = savedOn(MODES_NETWORK, "cheap");
+
+    assert.throws(() => readProfile([]), /Not a route finder profile/);
+    assert.throws(() => readProfile({ version: 2 }), /Unsupported profile version 2/);
+    assert.throws(() => readProfile({ version: 1, prices: { CN: "free" } }), /Price for CN/);
+    assert.throws(() => readProfile({ version: 1, favourites: "SCN" }), /favourites/);
+    assert.throws(() => readProfile({ version: 1, journeys: [{ ...saved, path: [] }] }), /Saved journey 1 has no valid path/);
+    assert.throws(() => readProfile({ version: 1, journeys: [{ ...saved, constraints: { via: "B" } }] }), /via is not a list/);
+});
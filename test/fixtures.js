@@ -0,0 +1,50 @@
+/* =======================
+   FIXTURE NETWORKS
+   Small hand-made networks for the engine tests, in the same shape as
+   routes.json and segments.json so they go through buildGraph.
+======================= */
+const { buildRouteData, buildGraph } = require("../engine.js");
+
+// routes: [{ name, operator, stops: [codes], minutes: number or [per hop],
+//            trains: [train names] }]
+// Every route runs both ways with the same hop times.
+function buildFixture(routes) {
+    const routesData = { routes: [] };
+    const segmentsData = { segments: [] };
+
+    routes.forEach(({ name, operator, stops, minutes, trains = [] }) => {
+        routesData.routes.push({
+            name,
+            operator,
+            stations_forward: stops,
+            stations_reverse: [...stops].reverse(),
+            compatible_trains: trains
+        });
+
+        for (let i = 0; i < stops.length - 1; i++) {
+            const time = Array.isArray(minutes) ? minutes[i] : minutes;
+            [[stops[i], stops[i + 1]], [stops[i + 1], stops[i]]].forEach(([from, to]) => {
+                segmentsData.segments.push({ from, to, routes: [{ route: name, duration_minutes: time }] });
+            });
+        }
+    });
+
+    return { routesData, segmentsData, graph: buildGraph(segmentsData, buildRouteData(routesData)) };
+}
+
+// From A to D every mode has a different best journey:
+//   balanced  R2 A-E then R3 E-D, 6 min and 1 change (score 11)
+//   direct    R1 A-B-C-D, 15 min and no change
+//   cheap     R4 A-F-G-H-D, 24 min for 4
+// Z and Y are only linked to each other.
+const MODES_NETWORK = [
+    { name: "R1", operator: "CN", stops: ["A", "B", "C", "D"], minutes: 5 },
+    { name: "R2", operator: "MT", stops: ["A", "E"], minutes: 3 },
+    { name: "R3", operator: "MT", stops: ["E", "D"], minutes: 3 },
+    { name: "R4", operator: "WL", stops: ["A", "F", "G", "H", "D"], minutes: 6 },
+    { name: "R9", operator: "CN", stops: ["Z", "Y"], minutes: 2 }
+];
+
+const MODES_PRICING = { CN: 10, MT: 20, WL: 1 };
+
+module.exports = { buildFixture, MODES_NETWORK, MODES_PRICING };
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SafeHtml, escapeHtml, html, joinHtml } = require("../html.js");
+
+const PAYLOAD = `"'><img src=x onerror=alert(1)>\``;
+
+test("escapeHtml escapes every character that can leave text or an attribute", () => {
+    assert.equal(escapeHtml(PAYLOAD), "&quot;&#39;&gt;&lt;img src=x onerror=alert(1)&gt;&#96;");
+    assert.equal(escapeHtml("Tom & Jerry"), "Tom &amp; Jerry");
+    assert.equal(escapeHtml(12), "12");
+});
+
+test("html escapes values and keeps its own markup", () => {
+    const markup = html`<span class="badge" data-route="${PAYLOAD}">${PAYLOAD}</span>`;
+
+    assert.ok(markup instanceof SafeHtml);
+    assert.equal(String(markup),
+        `<span class="badge" data-route="${escapeHtml(PAYLOAD)}">${escapeHtml(PAYLOAD)}</span>`);
+});
+
+test("html nests templates and joins arrays without escaping them twice", () => {
+    const items = ["<b>", "a & b"].map(item => html`<li>${item}</li>`);
+
+    assert.equal(String(html`<ul>${items}</ul>`), "<ul><li>&lt;b&gt;</li><li>a &amp; b</li></ul>");
+    assert.equal(String(html`${["<i>", html`<i>`]}`), "&lt;i&gt;<i>");
+});
+
+test("html renders nothing for null, undefined and false but keeps 0", () => {
+    assert.equal(String(html`[${null}${undefined}${false}${0}${""}]`), "[0]");
+});
+
+test("a plain string is never treated as markup", () => {
+    const nested = `<span>${PAYLOAD}</span>`;
+    assert.equal(String(html`${nested}`), escapeHtml(nested));
+});
+
+test("joinHtml escapes the separator and plain values", () => {
+    const links = ["A", "<B>"].map(code => html`<a>${code}</a>`);
+
+    assert.equal(String(joinHtml(links, " < ")), "<a>A</a> &lt; <a>&lt;B&gt;</a>");
+    assert.equal(String(joinHtml(["<x>", "y"])), "&lt;x&gt;y");
+});
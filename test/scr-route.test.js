@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "tools", "scr-route.js");
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+}
+
+test("scr-route prints a journey as JSON", () => {
+    const result = run("SCN", "SAO", "--json");
+
+    assert.equal(result.status, 0, result.stderr);
+    const journey = JSON.parse(result.stdout);
+    assert.equal(journey.from, "SCN");
+    assert.equal(journey.to, "SAO");
+});
+
+test("scr-route prints a journey from a station to itself", () => {
+    const result = run("SCN", "SCN");
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Stepford Central \(SCN\) → Stepford Central \(SCN\)/);
+    assert.match(result.stdout, /0 min · 0 transfers/);
+});
+
+test("scr-route reports a data directory without the data files", () => {
+    const result = run("SCN", "SAO", "--data", path.join(__dirname, "no-such-dir"));
+
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Cannot read the data: .*segments\.json not found/);
+    assert.doesNotMatch(result.stderr, /    at /);
+});
+
+test("scr-route rejects a departure that isn't a clock time", () => {
+    ["foo", "8:30", "24:00", "12:60", ""].forEach(depart => {
+        const result = run("SCN", "SAO", "--depart", depart);
+
+        assert.equal(result.status, 2, depart);
+        assert.match(result.stderr, /--depart needs a time from 00:00 to 23:59/, depart);
+        assert.match(result.stderr, /Usage: scr-route/, depart);
+        assert.equal(result.stdout, "", depart);
+    });
+});
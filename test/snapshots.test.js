@@ -0,0 +1,63 @@
+/* =======================
+   ITINERARY SNAPSHOTS
+   The journeys the site picks between a sample of real stations, one line
+   per pair and mode in test/snapshots/itineraries.json. A data update or an
+   engine change that moves any of them fails here; when the new journeys
+   are right, regenerate the file and review its diff:
+
+     UPDATE_SNAPSHOTS=1 npm test
+======================= */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { SEARCH_MODES, buildNetwork, defaultPricing, findJourneys, pickJourney, extractSegments } = require("../engine.js");
+const { loadDataFiles } = require("../load-data.js");
+
+const SNAPSHOT_FILE = path.join(__dirname, "snapshots", "itineraries.json");
+const SAMPLE_EVERY = 6;
+
+function describeJourney(journey) {
+    if (!journey) return "no route";
+    const legs = extractSegments(journey.path).map(seg => `${seg.route} ${seg.stations.join("-")}`);
+    const changes = `${journey.transfers} change${journey.transfers !== 1 ? "s" : ""}`;
+    return `${legs.join(", ")} (${journey.time} min, ${changes}, ${journey.cost})`;
+}
+
+function takeSnapshot() {
+    const network = buildNetwork(loadDataFiles(path.join(__dirname, "..")));
+    const pricing = defaultPricing(network);
+    const sample = network.stationList.filter((code, i) => i % SAMPLE_EVERY === 0);
+
+    const snapshot = {};
+    sample.forEach(from => sample.forEach(to => {
+        if (from === to) return;
+        const journeys = findJourneys(network.graph, from, to, pricing);
+        Object.keys(SEARCH_MODES).forEach(mode => {
+            snapshot[`${from} ${to} ${mode}`] = describeJourney(pickJourney(journeys, mode));
+        });
+    }));
+    return snapshot;
+}
+
+test("itineraries match the snapshot", () => {
+    const current = takeSnapshot();
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+        fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(current, null, 2) + "\n");
+        return;
+    }
+    // A deleted snapshot would otherwise pass without checking anything
+    assert.ok(fs.existsSync(SNAPSHOT_FILE), `${SNAPSHOT_FILE} is missing, run UPDATE_SNAPSHOTS=1 npm test to create it`);
+
+    const saved = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+    const keys = [...new Set([...Object.keys(saved), ...Object.keys(current)])];
+    const changes = keys
+        .filter(key => saved[key] !== current[key])
+        .map(key => `${key}\n  - ${saved[key] ?? "(none)"}\n  + ${current[key] ?? "(none)"}`);
+
+    assert.equal(changes.length, 0,
+        `${changes.length} itinerar${changes.length !== 1 ? "ies" : "y"} changed, ` +
+        `run UPDATE_SNAPSHOTS=1 npm test if they are right:\n${changes.join("\n")}`);
+});
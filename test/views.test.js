@@ -0,0 +1,621 @@
+/* =======================
+   VIEWS
+   index.html in jsdom, on the real data with a station, route, train,
+   operator, version and data error renamed to HTML. Every view is opened
+   and must show those names as text: no element or event handler may come
+   out of the data.
+======================= */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+const { DATA_FILES } = require("../engine.js");
+const { diffData, readDirectory } = require("../tools/diff-data.js");
+
+const ROOT = path.join(__dirname, "..");
+
+const HOSTILE = {
+    station: `SCN"><img src=x onerror=pwned()>`,
+    stationName: `<script>pwned()</script>Stepford Central`,
+    route: `R052'><img src=x onerror=pwned()>`,
+    train: `Class <img src=x onerror=pwned()>`,
+    operator: `Metro" onmouseover="pwned()`,
+    version: `9<img src=x onerror=pwned()>`,
+    error: `<img src=x onerror=pwned()> broken`
+};
+
+// Renames every occurrence of a code or name, keys included
+function rename(text, from, to) {
+    return text.split(JSON.stringify(from)).join(JSON.stringify(to));
+}
+
+function hostileData() {
+    const original = readDirectory(ROOT);
+    const train = original.routesData.routes.find(r => r.name === "R052").compatible_trains[0];
+
+    const data = {};
+    DATA_FILES.forEach(({ key, file }) => {
+        if (!original[key]) {
+            data[key] = null;
+            return;
+        }
+        let text = JSON.stringify(original[key]);
+        text = rename(text, "SCN", HOSTILE.station);
+        text = rename(text, "R052", HOSTILE.route);
+        text = rename(text, "Metro", HOSTILE.operator);
+        text = rename(text, train, HOSTILE.train);
+        data[key] = JSON.parse(text);
+    });
+
+    data.stationsData.stations.find(s => s.code === HOSTILE.station).name = HOSTILE.stationName;
+    data.versionData.data_version = HOSTILE.version;
+    data.invalidRoutesData.invalid_routes[HOSTILE.route] = [HOSTILE.error];
+    data.whatsNewData = diffData(original, data, 24);
+    // No timetables are shipped, one route gets one for the clock times
+    data.timetablesData = { routes: { [HOSTILE.route]: { headway_minutes: 15, first_departure: "05:00" } } };
+    return data;
+}
+
+const HOSTILE_DATA = hostileData();
+const HOSTILE_FILES = Object.fromEntries(DATA_FILES.map(({ key, file }) => [file, HOSTILE_DATA[key]]));
+
+/* =======================
+   PAGE
+======================= */
+class LocalResources extends ResourceLoader {
+    fetch(url) {
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, new URL(url).pathname)));
+    }
+}
+
+async function waitFor(condition, what) {
+    for (let waited = 0; waited < 10000; waited += 20) {
+        if (condition()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+// files maps a file name to its JSON, or to the Error its fetch fails with,
+// storage is what localStorage starts with. Prompts take the next of
+// page.answers, or keep their default.
+async function openPage(files, storage = {}) {
+    const errors = [];
+    const alerts = [];
+    const answers = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", err => {
+        if (!/^Not implemented/.test(err.message)) errors.push(err);
+    });
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, "index.html"), "utf8"), {
+        url: "http://localhost/index.html",
+        runScripts: "dangerously",
+        resources: new LocalResources(),
+        virtualConsole,
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            window.fetch = async file => {
+                const json = files[String(file)];
+                if (json instanceof Error) throw json;
+                if (!json) return { ok: false, status: 404, statusText: "Not Found" };
+                return { ok: true, json: async () => structuredClone(json) };
+            };
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            window.alert = message => alerts.push(message);
+            window.prompt = (message, value) => answers.length ? answers.shift() : value;
+            window.confirm = () => true;
+            window.print = () => {};
+            window.URL.createObjectURL = () => "blob:test";
+            window.URL.revokeObjectURL = () => {};
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+        }
+    });
+
+    const { document } = dom.window;
+    await waitFor(() => /Failed to load/.test(document.body.textContent) || document.getElementById("from").options.length > 1,
+        "the data to load");
+
+    const page = {
+        window: dom.window,
+        document,
+        alerts,
+        answers,
+        storage: () => ({ ...dom.window.localStorage }),
+        $: selector => document.querySelector(selector),
+        $$: selector => [...document.querySelectorAll(selector)],
+        click: element => element.dispatchEvent(new dom.window.MouseEvent("click", { bubbles: true })),
+        set: (id, value) => dom.window.setStation(document.getElementById(id), value),
+        close: () => {
+            assert.deepEqual(errors.map(err => err.message), [], "script errors");
+            dom.window.close();
+        }
+    };
+    return page;
+}
+
+// Nothing built from the data may be an element or a handler, and no
+// markup of the page itself may end up as text
+function assertSafe(page, where) {
+    assert.deepEqual(page.$$("img, iframe, script:not([src])").map(el => el.outerHTML), [], `${where}: element from data`);
+
+    const handlers = page.$$("*").flatMap(el => [...el.attributes]
+        .filter(attr => /^on/i.test(attr.name))
+        .map(attr => `<${el.tagName.toLowerCase()} ${attr.name}>`));
+    assert.deepEqual(handlers, [], `${where}: event handler attribute`);
+
+    assert.doesNotMatch(page.document.body.textContent,
+        /<\/?(div|span|p|td|tr|th|li|ul|table|h\d|button|section|strong|svg|g)\b/,
+        `${where}: markup shown as text`);
+}
+
+function assertShows(element, values, where) {
+    assert.ok(element, `${where}: not rendered`);
+    values.forEach(value => assert.ok(element.textContent.includes(value), `${where}: ${value} not shown`));
+}
+
+function searchHostileStation(page) {
+    page.set("from", HOSTILE.station);
+    page.set("to", "SAO");
+    page.click(page.$('[data-action="compute"]'));
+}
+
+/* =======================
+   HOSTILE DATA
+======================= */
+test("the page loads hostile data as text", async () => {
+    const page = await openPage(HOSTILE_FILES);
+
+    assert.ok(page.$$("#from option").some(option => option.value === HOSTILE.station));
+    assertShows(page.$("#version-badge"), [HOSTILE.version], "version badge");
+    assertShows(page.$("#pricing"), [HOSTILE.operator], "pricing");
+    assertShows(page.$("#exclude-operators"), [HOSTILE.operator], "operator exclusions");
+    assertShows(page.$("#map-legend"), [HOSTILE.operator], "map legend");
+    assert.ok(page.$$("#network-map [data-station]").some(el => el.getAttribute("data-station") === HOSTILE.station));
+    assert.equal(page.$("#whats-new-card").classList.contains("hidden"), false);
+    assertShows(page.$("#whats-new-card"), [HOSTILE.version, HOSTILE.route], "what's new");
+    assertSafe(page, "page");
+
+    page.click(page.$$("body > button").find(btn => /data issues/.test(btn.title)));
+    assertShows(page.$("#invalid-routes-popup"), [HOSTILE.route, HOSTILE.error], "invalid routes");
+    assertSafe(page, "invalid routes");
+
+    page.close();
+});
+
+test("journey results show hostile names as text", async () => {
+    const page = await openPage(HOSTILE_FILES);
+    page.$("#departure").value = "08:00";
+    page.$$("#exclude-operators input").find(input => input.getAttribute("data-operator") === HOSTILE.operator).checked = true;
+    page.$("#train-name").value = HOSTILE.train;
+    page.$("#train-use").value = "prefer";
+    searchHostileStation(page);
+
+    assertShows(page.$("#output"), [HOSTILE.stationName, HOSTILE.route], "results");
+    assertShows(page.$("#constraints-summary"), [HOSTILE.operator], "constraints");
+    assert.deepEqual(page.alerts, []);
+
+    page.click(page.$('[data-action="toggle-stops"]'));
+    assert.equal(page.$(".segment-stops").classList.contains("hidden"), false);
+    page.click(page.$('.route-card[data-mode="balanced"] [data-action="toggle-alternatives"]'));
+    assert.equal(page.$('.route-card[data-mode="balanced"] .alternatives').classList.contains("hidden"), false);
+    page.click(page.$('[data-action="sort-journeys"][data-column="cost"]'));
+    page.click(page.$('[data-action="toggle-journey"]'));
+    assert.equal(page.$(".journey-row + tr").classList.contains("hidden"), false);
+    assertShows(page.$(".timed-card"), [HOSTILE.route], "earliest arrival");
+    assertShows(page.$(".train-card"), [HOSTILE.route, HOSTILE.train], "matching trains");
+    assertSafe(page, "results");
+
+    page.click(page.$('[data-action="print-driver-sheet"]'));
+    assertShows(page.$("#print-sheet"), [HOSTILE.stationName, HOSTILE.route, HOSTILE.train], "driver sheet");
+    page.click(page.$('[data-action="copy-journey"]'));
+    page.click(page.$('[data-action="download-journey"][data-format="json"]'));
+    assertSafe(page, "exports");
+
+    // The mode in a shared link is only ever compared as text
+    page.window.applyUrlState(new URLSearchParams({ from: HOSTILE.station, to: "SAO", mode: `"]<img src=x>` }));
+    assertSafe(page, "link state");
+
+    page.close();
+});
+
+test("route and station popups show hostile names as text", async () => {
+    const page = await openPage(HOSTILE_FILES);
+    page.$("#departure").value = "08:00";
+    searchHostileStation(page);
+
+    page.click(page.$$("#output .operator-badge").find(el => el.getAttribute("data-route") === HOSTILE.route));
+    assertShows(page.$("#route-details-popup"), [HOSTILE.route, HOSTILE.train, HOSTILE.stationName], "route popup");
+    assertSafe(page, "route popup");
+
+    page.click(page.$$("#route-details-popup .station-link").find(el => el.getAttribute("data-station") === HOSTILE.station));
+    assert.equal(page.$("#route-details-popup").dataset.station, HOSTILE.station);
+    assertShows(page.$("#route-details-popup"), [HOSTILE.stationName, HOSTILE.route, HOSTILE.train], "station popup");
+    assertSafe(page, "station popup");
+
+    // Only the hostile route has a timetable
+    const departures = page.$$("#route-details-popup tr").filter(row => row.querySelector(".operator-badge"))
+        .map(row => [row.querySelector(".operator-badge").getAttribute("data-route"), row.lastElementChild.textContent.trim()]);
+    assert.ok(departures.some(([route, departs]) => route === HOSTILE.route && /^\d\d:\d\d$/.test(departs)));
+    assert.ok(departures.filter(([route]) => route !== HOSTILE.route).every(([, departs]) => departs === "No timetable" || departs === "—"));
+    assert.ok(departures.some(([, departs]) => departs === "No timetable"));
+
+    page.close();
+});
+
+test("the planners and games show hostile names as text", async () => {
+    const page = await openPage(HOSTILE_FILES);
+
+    page.$("#driver-train").value = HOSTILE.train;
+    page.set("driver-start", HOSTILE.station);
+    page.click(page.$('[data-action="show-driver-routes"]'));
+    assertShows(page.$("#driver-output"), [HOSTILE.train, HOSTILE.station, HOSTILE.route], "driver routes");
+    page.click(page.$('[data-action="plan-shift"]'));
+    assertShows(page.$("#driver-output"), [HOSTILE.station], "driver shift");
+    assertSafe(page, "driver planner");
+
+    page.set("reach-from", HOSTILE.station);
+    page.click(page.$('[data-action="explore-reach"]'));
+    assertShows(page.$("#reach-output"), [HOSTILE.station], "reachability");
+    page.click(page.$('[data-action="sort-reach"][data-column="station"]'));
+    page.click(page.$('[data-action="plan-reach"]'));
+    assertShows(page.$("#output"), [HOSTILE.stationName], "planned from reachability");
+    assertSafe(page, "reachability");
+
+    page.set("tag-start", HOSTILE.station);
+    page.$("#tag-seed").value = "views";
+    page.click(page.$('[data-action="generate-tag"]'));
+    await waitFor(() => page.$("#tag-history li"), "the tag round");
+    assertShows(page.$("#tag-history"), [HOSTILE.station], "tag history");
+    page.click(page.$('[data-action="replay-tag"]'));
+    await waitFor(() => page.$("#tag-output .tag-round"), "the replayed round");
+    assertSafe(page, "tag game");
+
+    const input = page.$("#from + .station-picker .station-input");
+    input.dispatchEvent(new page.window.FocusEvent("focus"));
+    input.value = "Stepford Central";
+    input.dispatchEvent(new page.window.Event("input"));
+    assertShows(page.$("#from-options"), [HOSTILE.stationName], "station picker");
+    assertSafe(page, "station picker");
+
+    page.window.showDataUpdateNotice(HOSTILE.version);
+    assertShows(page.$("#update-notice"), [HOSTILE.version], "update notice");
+    assertSafe(page, "update notice");
+
+    page.close();
+});
+
+test("a failed load shows the error as text", async () => {
+    const page = await openPage({ ...HOSTILE_FILES, "segments.json": new Error(HOSTILE.error) });
+
+    assertShows(page.document.body, ["Failed to load data files", HOSTILE.error], "error page");
+    assertSafe(page, "error page");
+
+    page.close();
+});
+
+/* =======================
+   ACCESSIBILITY
+   The same page on the real data, used from the keyboard only
+======================= */
+const REAL_DATA = readDirectory(ROOT);
+const REAL_FILES = Object.fromEntries(DATA_FILES.map(({ key, file }) => [file, REAL_DATA[key]]));
+
+function press(element, key, shiftKey = false) {
+    element.dispatchEvent(new element.ownerDocument.defaultView.KeyboardEvent("keydown", { key, shiftKey, bubbles: true }));
+}
+
+test("dialogs trap the focus, close on Escape and give it back", async () => {
+    const page = await openPage(REAL_FILES);
+    page.set("from", "SCN");
+    page.set("to", "SAO");
+    page.click(page.$('[data-action="compute"]'));
+
+    const badge = page.$("#output .operator-badge");
+    assert.equal(badge.tagName, "BUTTON");
+    assert.match(badge.getAttribute("aria-label"), new RegExp(`^Route ${badge.dataset.route}, `));
+    badge.focus();
+    page.click(badge);
+
+    const dialog = page.$("#route-details-popup [role=dialog]");
+    assert.equal(dialog.getAttribute("aria-modal"), "true");
+    assert.equal(dialog.getAttribute("aria-label"), `Route ${badge.dataset.route}`);
+    assert.equal(page.document.activeElement, dialog);
+
+    const close = dialog.querySelector(".dialog-close");
+    const buttons = [...dialog.querySelectorAll("button")];
+    buttons[buttons.length - 1].focus();
+    press(page.document.activeElement, "Tab");
+    assert.equal(page.document.activeElement, close, "Tab wraps to the first button");
+    press(close, "Tab", true);
+    assert.equal(page.document.activeElement, buttons[buttons.length - 1], "Shift+Tab wraps to the last");
+
+    press(page.document.activeElement, "Escape");
+    assert.equal(page.$("#route-details-popup"), null);
+    assert.equal(page.document.activeElement, badge);
+
+    const warning = page.$$("body > button").find(btn => btn.getAttribute("aria-haspopup") === "dialog");
+    warning.focus();
+    page.click(warning);
+    assert.equal(page.$("#invalid-routes-popup [role=dialog]").getAttribute("aria-label"), "Data warning");
+    press(page.document.activeElement, "Escape");
+    assert.equal(page.$("#invalid-routes-popup"), null);
+    assert.equal(page.document.activeElement, warning);
+
+    page.close();
+});
+
+test("results can be expanded and sorted from the keyboard", async () => {
+    const page = await openPage(REAL_FILES);
+    page.$("#departure").value = "08:00";
+    page.set("from", "SCN");
+    page.set("to", "SAO");
+    page.click(page.$('[data-action="compute"]'));
+
+    page.$$(".route-card").forEach(card => {
+        assert.match(card.querySelector(".sr-only").textContent, /^\d+ min, \d+ transfers?, cost \d+, \d+ points/);
+        assert.equal(card.querySelector(".route-stats").getAttribute("aria-hidden"), "true");
+    });
+
+    const toggle = page.$('[data-action="toggle-stops"]');
+    assert.equal(toggle.tagName, "BUTTON");
+    assert.equal(toggle.getAttribute("aria-expanded"), "false");
+    page.click(toggle);
+    assert.equal(toggle.getAttribute("aria-expanded"), "true");
+
+    const row = page.$('[data-action="toggle-journey"]');
+    assert.match(row.getAttribute("aria-label"), /^\d+ min, .*, show details$/);
+    press(row, "Enter");
+    assert.equal(row.getAttribute("aria-expanded"), "true");
+    assert.equal(row.nextElementSibling.classList.contains("hidden"), false);
+
+    const header = () => page.$('[data-action="sort-journeys"][data-column="cost"]');
+    assert.equal(header().getAttribute("aria-sort"), "none");
+    press(header(), "Enter");
+    assert.equal(header().getAttribute("aria-sort"), "ascending");
+    assert.equal(page.document.activeElement, header());
+
+    page.close();
+});
+
+test("the color-blind palette recolors operators and is remembered", async () => {
+    const page = await openPage(REAL_FILES);
+    const toggle = page.$("#palette-toggle");
+    const color = () => page.document.documentElement.style.getPropertyValue("--operator-CN");
+
+    assert.equal(toggle.checked, false);
+    assert.equal(color().toUpperCase(), "#0096EE");
+
+    toggle.checked = true;
+    toggle.dispatchEvent(new page.window.Event("change"));
+    assert.equal(color().toUpperCase(), "#0060A8");
+    assert.equal(page.window.localStorage.getItem("scr-palette"), "accessible");
+
+    page.close();
+});
+
+/* =======================
+   ITINERARIES
+======================= */
+test("transfer badges show the journey's changes, not its walks", async () => {
+    // No walking links are shipped, the test adds one from SAO to SAX
+    const interchanges = { default_minutes: 0, walking_links: [{ from: "SAO", to: "SAX", minutes: 4 }] };
+    const page = await openPage({ ...REAL_FILES, "interchanges.json": interchanges });
+    // Walking SAO to SAX first: neither the walk nor the train after it is a change
+    page.window.applyUrlState(new URLSearchParams({ from: "SAO", to: "LYN", via: "SAX" }));
+
+    const cards = page.$$(".route-card[data-mode]");
+    assert.equal(cards.length, 3);
+    cards.forEach(card => {
+        const [, transfers] = card.querySelector(".sr-only").textContent.match(/(\d+) transfers?/);
+        const segments = [...card.querySelectorAll(".route-step")];
+        assert.ok(segments[0].classList.contains("walk-step"), card.dataset.mode);
+        assert.equal(card.querySelectorAll(".transfer-badge").length, Number(transfers), card.dataset.mode);
+        assert.ok(!segments[1].previousElementSibling.classList.contains("transfer-badge"), card.dataset.mode);
+    });
+
+    page.close();
+});
+
+test("a journey from a station to itself can be shown and exported", async () => {
+    const page = await openPage(REAL_FILES);
+    page.window.applyUrlState(new URLSearchParams({ from: "SCN", to: "SCN" }));
+
+    assert.equal(page.$$(".route-card[data-mode]").length, 3);
+    page.click(page.$('[data-action="print-driver-sheet"]'));
+    assertShows(page.$("#print-sheet"), ["Stepford Central"], "driver sheet");
+    page.click(page.$('[data-action="copy-journey"]'));
+    page.click(page.$('[data-action="download-journey"][data-format="markdown"]'));
+    page.click(page.$('[data-action="download-journey"][data-format="json"]'));
+    page.click(page.$('[data-action="toggle-alternatives"]'));
+    assertShows(page.$(".alternatives"), ["No other route found"], "alternatives");
+
+    page.close();
+});
+
+/* =======================
+   TAG GAME
+======================= */
+test("a pair search that can't be met shows its progress and can be cancelled", async () => {
+    const page = await openPage(REAL_FILES);
+    page.$("#tag-mode").value = "pair";
+    page.$("#tag-min-time").value = "1000";
+    page.click(page.$('[data-action="generate-tag"]'));
+
+    // The click returns after the first slice
+    const progress = page.$("#tag-output progress");
+    assert.ok(progress);
+    assert.match(page.$(".tag-progress-text").textContent, /^Checked \d+ of \d+ seekers$/);
+    await waitFor(() => progress.value > 1, "more seekers");
+
+    page.click(page.$('[data-action="cancel-tag"]'));
+    assert.equal(page.$("#tag-output").textContent.trim(), "Search cancelled");
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(page.$("#tag-output").textContent.trim(), "Search cancelled");
+    assert.equal(page.$("#tag-history li"), null);
+
+    page.$("#tag-min-time").value = "";
+    page.click(page.$('[data-action="generate-tag"]'));
+    await waitFor(() => page.$("#tag-history li"), "the tag round");
+    assert.ok(page.$("#tag-output .tag-round"));
+
+    page.close();
+});
+
+/* =======================
+   TRAINS
+======================= */
+test("a train filter keeps journeys on matching trains or prefers them", async () => {
+    const page = await openPage(REAL_FILES);
+    page.$("#train-name").value = "Class 43";
+    page.set("from", "SCN");
+    page.set("to", "SHB");
+    page.click(page.$('[data-action="compute"]'));
+
+    const listed = page.$$(".segment-trains");
+    assert.ok(listed.length > 0);
+    listed.forEach(el => assert.match(el.textContent, /Class 43/));
+    assert.equal(page.$(".segment-trains.no-match"), null);
+    assert.equal(page.$(".train-card"), null);
+    assertShows(page.$("#constraints-summary"), ['Only trains like "Class 43"'], "constraints");
+    assert.match(page.window.location.search, /train=Class\+43/);
+
+    // No Class 43 runs all the way, the card rides one as long as it can
+    page.$("#train-use").value = "prefer";
+    page.set("to", "SAO");
+    page.click(page.$('[data-action="compute"]'));
+    assert.match(page.$(".train-card .train-time").textContent, /^🚆 [1-9]\d* of \d+ min on matching trains$/);
+    assert.ok(page.$$(".train-card .segment-trains").some(el => /Class 43/.test(el.textContent)));
+    assert.ok(page.$(".segment-trains.no-match"));
+    assert.match(page.window.location.search, /tuse=prefer/);
+
+    // Links bring the train options back
+    const link = page.window.location.search;
+    page.$("#train-name").value = "";
+    page.$("#train-use").value = "only";
+    page.window.applyUrlState(new URLSearchParams(link));
+    assert.equal(page.$("#train-name").value, "Class 43");
+    assert.equal(page.$("#train-use").value, "prefer");
+    assert.ok(page.$(".train-card"));
+
+    page.close();
+});
+
+/* =======================
+   PREFERENCES
+======================= */
+function change(element, value) {
+    element.value = value;
+    element.dispatchEvent(new element.ownerDocument.defaultView.Event("change", { bubbles: true }));
+}
+
+test("prices, the preferred route and saved journeys are kept", async () => {
+    const page = await openPage(REAL_FILES);
+    change(page.$("#price_CN"), "3");
+    change(page.$("#preferred-mode"), "cheap");
+    assert.deepEqual(JSON.parse(page.storage()["scr-prices"]), { CN: 3 });
+
+    page.set("from", "SCN");
+    page.set("to", "SAO");
+    page.click(page.$('[data-action="compute"]'));
+    assert.equal(page.$(".route-card").getAttribute("data-mode"), "cheap");
+
+    page.answers.push("Home → depot");
+    page.click(page.$('.route-card[data-mode="cheap"] [data-action="save-journey"]'));
+    assertShows(page.$("#saved-journeys"), ["Home → depot", "SCN → SAO · Cheapest Route"], "saved journeys");
+    await waitFor(() => !page.$(".saved-checking"), "the saved journey check");
+    assert.ok(page.$(".saved-journey").classList.contains("saved-ok"));
+    assert.equal(page.$(".saved-status"), null);
+
+    const storage = page.storage();
+    page.close();
+
+    const reopened = await openPage(REAL_FILES, storage);
+    assert.equal(reopened.$("#price_CN").value, "3");
+    assert.equal(reopened.$("#preferred-mode").value, "cheap");
+    assert.equal(reopened.$("#reach-mode").value, "cheap");
+    assert.equal(reopened.$("#output").children.length, 0);
+
+    reopened.click(reopened.$('[data-action="open-saved-journey"]'));
+    assert.equal(reopened.$("#from").value, "SCN");
+    assert.equal(reopened.$("#to").value, "SAO");
+    assert.equal(reopened.$(".route-card").getAttribute("data-mode"), "cheap");
+    assert.match(reopened.window.location.search, /from=SCN&to=SAO&price_CN=3/);
+
+    reopened.click(reopened.$('[data-action="reset-prices"]'));
+    assert.equal(reopened.$("#price_CN").value, reopened.$("#price_CN").getAttribute("data-default"));
+    assert.equal(reopened.storage()["scr-prices"], "{}");
+
+    reopened.click(reopened.$('[data-action="delete-saved-journey"]'));
+    assert.equal(reopened.$(".saved-journey"), null);
+    assert.equal(reopened.storage()["scr-saved-journeys"], "[]");
+
+    reopened.close();
+});
+
+test("a saved journey that no longer runs is flagged", async () => {
+    const gone = {
+        name: "Old line", from: "SCN", to: "SAO", mode: "balanced", departure: null,
+        constraints: { via: [], avoidStations: [], excludeRoutes: [], excludeOperators: [] },
+        path: [{ from: "SCN", to: "SAO", route: "R000" }]
+    };
+    const page = await openPage(REAL_FILES, { "scr-saved-journeys": JSON.stringify([gone]) });
+
+    await waitFor(() => !page.$(".saved-checking"), "the saved journey check");
+    assert.ok(page.$(".saved-journey").classList.contains("saved-gone"));
+    assert.match(page.$(".saved-status").textContent, /no longer runs: \d+ min, \d+ transfers?, cost \d+/);
+
+    // Not checked again until the prices change, then after the list is shown
+    page.window.renderSavedJourneys();
+    assert.ok(page.$(".saved-journey").classList.contains("saved-gone"));
+    change(page.$("#price_CN"), "3");
+    assertShows(page.$(".saved-checking"), ["Old line", "Checking…"], "saved journey");
+    await waitFor(() => !page.$(".saved-checking"), "the saved journey check");
+
+    page.close();
+});
+
+test("profiles are exported and imported", async () => {
+    const page = await openPage(REAL_FILES, {
+        "scr-prices": JSON.stringify({ MT: 7 }),
+        "scr-favourite-stations": JSON.stringify(["SCN"])
+    });
+
+    assert.deepEqual(JSON.parse(JSON.stringify(page.window.buildProfile())), {
+        version: 1, prices: { MT: 7 }, mode: "balanced", palette: "standard",
+        favourites: ["SCN"], recent: [], journeys: []
+    });
+
+    const file = profile => ({ text: async () => JSON.stringify(profile) });
+    await page.window.importProfile(file({ version: 2 }));
+    assert.deepEqual(page.alerts, ["Could not import the profile: Unsupported profile version 2"]);
+
+    const saved = {
+        name: HOSTILE.stationName, from: "SCN", to: HOSTILE.station, mode: "direct",
+        path: [{ from: "SCN", to: HOSTILE.station, route: HOSTILE.route }]
+    };
+    await page.window.importProfile(file({ version: 1, prices: { CN: 2 }, mode: "direct", palette: "accessible", journeys: [saved] }));
+
+    assert.equal(page.$("#price_CN").value, "2");
+    assert.equal(page.$("#price_MT").value, page.$("#price_MT").getAttribute("data-default"));
+    assert.equal(page.$("#preferred-mode").value, "direct");
+    assert.equal(page.$("#palette-toggle").checked, true);
+    assert.equal(page.storage()["scr-favourite-stations"], "[]");
+    assertShows(page.$("#saved-journeys"), [HOSTILE.stationName, HOSTILE.station], "imported journey");
+    assertSafe(page, "imported journey");
+
+    page.close();
+});
+
+/* =======================
+   SOURCE
+======================= */
+test("markup is only written through html.js", () => {
+    const router = fs.readFileSync(path.join(ROOT, "router.js"), "utf8");
+    const page = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+
+    assert.doesNotMatch(router, /innerHTML|outerHTML|insertAdjacentHTML|document\.write/);
+    assert.doesNotMatch(router, /\son[a-z]+\s*=\s*["']/i, "inline handler in router.js");
+    assert.doesNotMatch(page, /\son[a-z]+\s*=\s*["']/i, "inline handler in index.html");
+});
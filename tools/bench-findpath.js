@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/* =======================
+   FINDPATH BENCHMARK
+   Runs every station pair through each search mode and checks the
+   results against the original sorted-array implementation.
+
+   Usage:
+     node tools/bench-findpath.js               benchmark and compare
+     node tools/bench-findpath.js --no-compare  benchmark the engine only
+     node tools/bench-findpath.js --data <dir>
+======================= */
+const path = require("path");
+const { loadDataFiles } = require("../load-data.js");
+const { DEFAULT_OPERATOR_PRICES, buildRouteData, buildGraph, findPath } = require("../engine.js");
+
+const MODES = ["balanced", "direct", "cheap"];
+
+/* =======================
+   REFERENCE IMPLEMENTATION
+   findPath as it was before the binary heap, kept to prove the engine
+   still returns exactly the same itineraries.
+======================= */
+class LegacyPriorityQueue {
+    constructor(compare) {
+        this.data = [];
+        this.compare = compare;
+    }
+    push(x) {
+        this.data.push(x);
+        this.data.sort(this.compare);
+    }
+    pop() {
+        return this.data.shift();
+    }
+    get size() {
+        return this.data.length;
+    }
+}
+
+function legacyFindPath(graph, from, to, mode, pricing) {
+    const TRANSFER_PENALTY = 5;
+
+    const pq = new LegacyPriorityQueue((a, b) => {
+        if (mode === "direct") {
+            if (a.transfers !== b.transfers)
+                return a.transfers - b.transfers;
+            return a.time - b.time;
+        }
+        if (mode === "cheap") {
+            if (a.cost !== b.cost) return a.cost - b.cost;
+            return a.time - b.time;
+        }
+        const scoreA = a.time + (a.transfers * TRANSFER_PENALTY);
+        const scoreB = b.time + (b.transfers * TRANSFER_PENALTY);
+        return scoreA - scoreB;
+    });
+
+    const best = new Map();
+
+    for (const e of graph.get(from) || []) {
+        const s = {
+            station: from,
+            route: e.route,
+            operator: e.operator,
+            time: 0,
+            transfers: 0,
+            cost: 0,
+            path: []
+        };
+        best.set(from + "|" + e.route, s);
+        pq.push(s);
+    }
+
+    while (pq.size) {
+        const cur = pq.pop();
+        if (cur.station === to) return cur;
+
+        for (const e of graph.get(cur.station) || []) {
+            const transfer = cur.route && e.route !== cur.route;
+            const next = {
+                station: e.to,
+                route: e.route,
+                operator: e.operator,
+                time: cur.time + e.time,
+                transfers: cur.transfers + (transfer ? 1 : 0),
+                cost: cur.cost + (pricing[e.operator] || 0),
+                path: cur.path.concat({
+                    from: cur.station,
+                    to: e.to,
+                    route: e.route,
+                    operator: e.operator,
+                    time: e.time,
+                    transfer
+                })
+            };
+
+            const key = e.to + "|" + e.route;
+            const prev = best.get(key);
+
+            let better = false;
+            if (!prev) {
+                better = true;
+            } else if (mode === "direct") {
+                better = next.transfers < prev.transfers ||
+                         (next.transfers === prev.transfers && next.time < prev.time);
+            } else if (mode === "cheap") {
+                better = next.cost < prev.cost ||
+                         (next.cost === prev.cost && next.time < prev.time);
+            } else {
+                const nextScore = next.time + (next.transfers * TRANSFER_PENALTY);
+                const prevScore = prev.time + (prev.transfers * TRANSFER_PENALTY);
+                better = nextScore < prevScore;
+            }
+
+            if (better) {
+                best.set(key, next);
+                pq.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+/* =======================
+   BENCHMARK
+======================= */
+function runAllPairs(impl, graph, stations, mode) {
+    const results = [];
+    const start = process.hrtime.bigint();
+
+    for (const from of stations) {
+        for (const to of stations) {
+            if (from !== to) results.push(impl(graph, from, to, mode, DEFAULT_OPERATOR_PRICES));
+        }
+    }
+
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    return { results, ms };
+}
+
+function main(argv) {
+    const dataIndex = argv.indexOf("--data");
+    const dir = dataIndex !== -1 ? argv[dataIndex + 1] : path.join(__dirname, "..");
+    const compare = !argv.includes("--no-compare");
+
+    const { segmentsData, routesData } = loadDataFiles(dir);
+    const graph = buildGraph(segmentsData, buildRouteData(routesData));
+
+    const stations = new Set();
+    segmentsData.segments.forEach(({ from, to }) => {
+        stations.add(from);
+        stations.add(to);
+    });
+    const sorted = [...stations].sort();
+    const pairs = sorted.length * (sorted.length - 1);
+
+    console.log(`${sorted.length} stations, ${pairs} pairs per mode`);
+
+    let mismatches = 0;
+    for (const mode of MODES) {
+        const engine = runAllPairs(findPath, graph, sorted, mode);
+        let line = `${mode.padEnd(9)} engine ${engine.ms.toFixed(0).padStart(7)} ms`;
+
+        if (compare) {
+            const legacy = runAllPairs(legacyFindPath, graph, sorted, mode);
+            let modeMismatches = 0;
+            engine.results.forEach((r, i) => {
+                if (JSON.stringify(r) !== JSON.stringify(legacy.results[i])) modeMismatches++;
+            });
+            mismatches += modeMismatches;
+            line += `   legacy ${legacy.ms.toFixed(0).padStart(7)} ms   ${modeMismatches} mismatch${modeMismatches !== 1 ? 'es' : ''}`;
+        }
+
+        console.log(line);
+    }
+
+    return mismatches ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/* =======================
+   DATA DIFF
+   Compares two versions of the data files: stations, route stop lists,
+   operators and compatible trains, segment times, trains, and the journeys
+   findPath picks between a sample of stations. Prints Markdown for the
+   release notes, and writes whats_new.json for the site's "What's new" panel.
+
+   Usage:
+     node tools/diff-data.js <old-dir>                print the changes as Markdown
+     node tools/diff-data.js --git <rev>              read the old files from a git revision
+     node tools/diff-data.js <old-dir> --json         print the changes as JSON
+     node tools/diff-data.js <old-dir> --write        write whats_new.json
+     node tools/diff-data.js <old-dir> --data <dir>   compare with another directory
+     node tools/diff-data.js <old-dir> --sample-every <n>
+                                                      journeys between every nth station (default 6)
+======================= */
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { DATA_FILES, SEARCH_MODES, buildNetwork, defaultPricing, findPath, extractSegments } = require("../engine.js");
+
+// Older versions may not have the other files
+const REQUIRED = ["segmentsData", "routesData", "stationsData", "trainsData"];
+const SAMPLE_EVERY = 6;
+
+/* =======================
+   LOADING
+======================= */
+// read(file) returns the text of a file, or null when there is none
+function readData(read) {
+    const data = {};
+    DATA_FILES.forEach(({ key, file }) => {
+        const text = read(file);
+        if (text === null && REQUIRED.includes(key)) throw new Error(`${file} is missing`);
+        data[key] = text === null ? null : JSON.parse(text);
+    });
+    return data;
+}
+
+function readDirectory(dir) {
+    return readData(file => {
+        const filePath = path.join(dir, file);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+    });
+}
+
+function readGitRevision(rev, dir) {
+    return readData(file => {
+        try {
+            return execFileSync("git", ["show", `${rev}:./${file}`], {
+                cwd: dir,
+                encoding: "utf8",
+                stdio: ["ignore", "pipe", "ignore"]
+            });
+        } catch (error) {
+            return null;
+        }
+    });
+}
+
+/* =======================
+   CHANGES
+======================= */
+const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+const listDifference = (a, b) => (a || []).filter(item => !(b || []).includes(item));
+
+// Keys only in `after`, only in `before`, and in both
+function compareKeys(before, after) {
+    return {
+        added: [...after.keys()].filter(key => !before.has(key)).sort(),
+        removed: [...before.keys()].filter(key => !after.has(key)).sort(),
+        kept: [...after.keys()].filter(key => before.has(key)).sort()
+    };
+}
+
+function diffStations(before, after) {
+    const old = new Map(before.stations.map(s => [s.code, s.name]));
+    const now = new Map(after.stations.map(s => [s.code, s.name]));
+    const { added, removed, kept } = compareKeys(old, now);
+
+    return {
+        added: added.map(code => ({ code, name: now.get(code) })),
+        removed: removed.map(code => ({ code, name: old.get(code) })),
+        renamed: kept
+            .filter(code => old.get(code) !== now.get(code))
+            .map(code => ({ code, before: old.get(code), after: now.get(code) }))
+    };
+}
+
+function diffRoutes(before, after) {
+    const old = new Map(before.routes.map(r => [r.name, r]));
+    const now = new Map(after.routes.map(r => [r.name, r]));
+    const { added, removed, kept } = compareKeys(old, now);
+
+    const changed = kept.map(name => {
+        const a = old.get(name);
+        const b = now.get(name);
+        const change = { route: name };
+
+        if (a.operator !== b.operator) change.operator = { before: a.operator, after: b.operator };
+        ["stations_forward", "stations_reverse"].forEach(field => {
+            if (!sameList(a[field], b[field])) change[field] = { before: a[field] || [], after: b[field] || [] };
+        });
+
+        const trainsAdded = listDifference(b.compatible_trains, a.compatible_trains);
+        const trainsRemoved = listDifference(a.compatible_trains, b.compatible_trains);
+        if (trainsAdded.length) change.trains_added = trainsAdded;
+        if (trainsRemoved.length) change.trains_removed = trainsRemoved;
+
+        return Object.keys(change).length > 1 ? change : null;
+    }).filter(Boolean);
+
+    return {
+        added: added.map(route => ({ route, operator: now.get(route).operator })),
+        removed: removed.map(route => ({ route, operator: old.get(route).operator })),
+        changed
+    };
+}
+
+function segmentTimes(segmentsData) {
+    const times = new Map();
+    segmentsData.segments.forEach(({ from, to, routes }) => {
+        routes.forEach(({ route, duration_minutes }) => {
+            times.set(`${route}|${from}|${to}`, duration_minutes);
+        });
+    });
+    return times;
+}
+
+// Segments of added or removed routes are left out, the route says it all
+function diffSegments(before, after, skipRoutes) {
+    const old = segmentTimes(before);
+    const now = segmentTimes(after);
+    const { added, removed, kept } = compareKeys(old, now);
+
+    const segment = key => {
+        const [route, from, to] = key.split("|");
+        return { route, from, to };
+    };
+    const keep = key => !skipRoutes.has(segment(key).route);
+
+    return {
+        added: added.filter(keep).map(key => ({ ...segment(key), minutes: now.get(key) })),
+        removed: removed.filter(keep).map(key => ({ ...segment(key), minutes: old.get(key) })),
+        changed: kept
+            .filter(key => old.get(key) !== now.get(key))
+            .map(key => ({ ...segment(key), before: old.get(key), after: now.get(key) }))
+    };
+}
+
+function diffTrains(before, after) {
+    const old = new Map(before.trains.map(t => [t.name, t]));
+    const now = new Map(after.trains.map(t => [t.name, t]));
+    const { added, removed, kept } = compareKeys(old, now);
+
+    const changed = kept.map(name => {
+        const fields = {};
+        ["operator", "propulsion", "size"].forEach(field => {
+            const a = old.get(name)[field];
+            const b = now.get(name)[field];
+            if (a !== b) fields[field] = { before: a, after: b };
+        });
+        return Object.keys(fields).length ? { name, ...fields } : null;
+    }).filter(Boolean);
+
+    return { added, removed, changed };
+}
+
+/* =======================
+   JOURNEYS
+======================= */
+function summarizeJourney(journey) {
+    if (!journey) return "no route";
+    const legs = extractSegments(journey.path).map(seg => `${seg.route} ${seg.stations.join("-")}`);
+    const changes = `${journey.transfers} change${journey.transfers !== 1 ? "s" : ""}`;
+    return `${legs.join(", ")} (${journey.time} min, ${changes}, ${journey.cost})`;
+}
+
+// Every mode between every nth station that is in both versions, each
+// version with its own default prices
+function diffJourneys(before, after, sampleEvery) {
+    const networks = [before, after].map(data => buildNetwork({ ...data, faresData: data.faresData || {} }));
+    const pricings = networks.map(defaultPricing);
+
+    const oldStations = new Set(networks[0].stationList);
+    const sample = networks[1].stationList
+        .filter(code => oldStations.has(code))
+        .filter((code, i) => i % sampleEvery === 0);
+
+    const changed = [];
+    let sampled = 0;
+    sample.forEach(from => sample.forEach(to => {
+        if (from === to) return;
+        Object.keys(SEARCH_MODES).forEach(mode => {
+            const [a, b] = networks.map((network, i) =>
+                summarizeJourney(findPath(network.graph, from, to, mode, pricings[i]))
+            );
+            sampled++;
+            if (a !== b) changed.push({ from, to, mode, before: a, after: b });
+        });
+    }));
+
+    return { sampled, changed };
+}
+
+function diffData(before, after, sampleEvery = SAMPLE_EVERY) {
+    const version = data => data.versionData ? data.versionData.data_version : null;
+    const routes = diffRoutes(before.routesData, after.routesData);
+    const newOrGone = new Set([...routes.added, ...routes.removed].map(r => r.route));
+
+    return {
+        from_version: version(before),
+        to_version: version(after),
+        stations: diffStations(before.stationsData, after.stationsData),
+        routes,
+        segments: diffSegments(before.segmentsData, after.segmentsData, newOrGone),
+        trains: diffTrains(before.trainsData, after.trainsData),
+        journeys: diffJourneys(before, after, sampleEvery)
+    };
+}
+
+/* =======================
+   MARKDOWN
+======================= */
+function describeStopChange(before, after) {
+    const added = listDifference(after, before);
+    const removed = listDifference(before, after);
+    const parts = [];
+    if (added.length) parts.push(`now calls at ${added.join(", ")}`);
+    if (removed.length) parts.push(`no longer calls at ${removed.join(", ")}`);
+    return parts.length ? parts.join(", ") : "stops in a new order";
+}
+
+function formatMarkdown(diff) {
+    const lines = [`## Data changes ${diff.from_version || "?"} → ${diff.to_version || "?"}`, ""];
+    const section = (title, items) => {
+        lines.push(`### ${title}`, "", ...(items.length ? items : ["No changes."]), "");
+    };
+    const { stations, routes, segments, trains, journeys } = diff;
+
+    section("Stations", [
+        ...stations.added.map(s => `- Added ${s.code} ${s.name}`),
+        ...stations.removed.map(s => `- Removed ${s.code} ${s.name}`),
+        ...stations.renamed.map(s => `- ${s.code} renamed from ${s.before} to ${s.after}`)
+    ]);
+
+    section("Routes", [
+        ...routes.added.map(r => `- Added ${r.route} (${r.operator})`),
+        ...routes.removed.map(r => `- Removed ${r.route} (${r.operator})`),
+        ...routes.changed.flatMap(change => [
+            change.operator && `- ${change.route} now run by ${change.operator.after} instead of ${change.operator.before}`,
+            change.stations_forward && `- ${change.route} forward: ${describeStopChange(change.stations_forward.before, change.stations_forward.after)}`,
+            change.stations_reverse && `- ${change.route} reverse: ${describeStopChange(change.stations_reverse.before, change.stations_reverse.after)}`,
+            change.trains_added && `- ${change.route} trains added: ${change.trains_added.join(", ")}`,
+            change.trains_removed && `- ${change.route} trains dropped: ${change.trains_removed.join(", ")}`
+        ].filter(Boolean))
+    ]);
+
+    section("Segment times", [
+        ...segments.changed.map(s => `- ${s.route} ${s.from} → ${s.to}: ${s.before} → ${s.after} min`),
+        ...segments.added.map(s => `- ${s.route} ${s.from} → ${s.to}: new, ${s.minutes} min`),
+        ...segments.removed.map(s => `- ${s.route} ${s.from} → ${s.to}: removed`)
+    ]);
+
+    section("Trains", [
+        ...trains.added.map(name => `- Added ${name}`),
+        ...trains.removed.map(name => `- Removed ${name}`),
+        ...trains.changed.map(({ name, ...fields }) =>
+            `- ${name}: ${Object.entries(fields).map(([field, { before, after }]) => `${field} ${before} → ${after}`).join(", ")}`)
+    ]);
+
+    lines.push("### Journeys", "", `${journeys.changed.length} of ${journeys.sampled} sampled journeys changed.`, "");
+    if (journeys.changed.length) {
+        lines.push("| From | To | Mode | Before | After |", "| --- | --- | --- | --- | --- |");
+        journeys.changed.forEach(j => lines.push(`| ${j.from} | ${j.to} | ${j.mode} | ${j.before} | ${j.after} |`));
+        lines.push("");
+    }
+
+    return lines.join("\n");
+}
+
+/* =======================
+   COMMAND LINE
+======================= */
+function main(argv) {
+    const option = flag => {
+        const index = argv.indexOf(flag);
+        return index !== -1 ? argv[index + 1] : undefined;
+    };
+    const withValue = ["--git", "--data", "--sample-every"];
+    const oldDir = argv.find((arg, i) => !arg.startsWith("--") && !withValue.includes(argv[i - 1]));
+    const dir = option("--data") || path.join(__dirname, "..");
+    const sampleEvery = Number(option("--sample-every") || SAMPLE_EVERY);
+
+    if ((!oldDir && !option("--git")) || !(sampleEvery >= 1)) {
+        console.error("Usage: node tools/diff-data.js <old-dir> | --git <rev> [--json | --write] [--data <dir>] [--sample-every <n>]");
+        return 2;
+    }
+
+    let before;
+    let after;
+    try {
+        before = option("--git") ? readGitRevision(option("--git"), dir) : readDirectory(oldDir);
+        after = readDirectory(dir);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const diff = diffData(before, after, sampleEvery);
+
+    if (argv.includes("--write")) {
+        const outFile = path.join(dir, "whats_new.json");
+        fs.writeFileSync(outFile, JSON.stringify(diff, null, 2) + "\n");
+        console.error(`Wrote ${outFile}`);
+        return 0;
+    }
+
+    process.stdout.write(argv.includes("--json") ? JSON.stringify(diff, null, 2) + "\n" : formatMarkdown(diff));
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { diffData, formatMarkdown, readDirectory, readGitRevision };
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/* =======================
+   STATION LAYOUT
+   Places the stations that have no position in coordinates.json with a
+   force-directed layout of the segment graph. Stations already in the
+   file stay where they are, so positions can be tuned by hand and the
+   rest laid out around them.
+
+   Usage:
+     node tools/layout-stations.js            list stations without a position
+     node tools/layout-stations.js --write    lay them out and update coordinates.json
+     node tools/layout-stations.js --check    fail if a station has no position
+     node tools/layout-stations.js --data <dir>
+======================= */
+const fs = require("fs");
+const path = require("path");
+const { loadDataFiles } = require("../load-data.js");
+const { createRng } = require("../engine.js");
+
+const WIDTH = 1000;
+const HEIGHT = 700;
+const MARGIN = 40;
+const ITERATIONS = 600;
+const GRAVITY = 0.1;
+
+function readCoordinates(file) {
+    return fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : { width: WIDTH, height: HEIGHT, stations: {} };
+}
+
+// Fruchterman-Reingold on the unit square, pinned stations don't move. Without
+// pinned stations the result is stretched to fill the square.
+function layoutStations(codes, links, pinned) {
+    const rng = createRng("scr-network");
+    const pos = new Map(codes.map(code => [code, pinned.get(code) || { x: rng(), y: rng() }]));
+    const free = codes.filter(code => !pinned.has(code));
+    const k = Math.sqrt(1 / codes.length);
+
+    for (let iter = 0; iter < ITERATIONS; iter++) {
+        const temperature = 0.1 * (1 - iter / ITERATIONS);
+        const shift = new Map(free.map(code => [code, { x: 0, y: 0 }]));
+        const push = (code, dx, dy) => {
+            const s = shift.get(code);
+            if (s) {
+                s.x += dx;
+                s.y += dy;
+            }
+        };
+
+        for (let i = 0; i < codes.length; i++) {
+            for (let j = i + 1; j < codes.length; j++) {
+                const a = pos.get(codes[i]);
+                const b = pos.get(codes[j]);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const dist = Math.max(Math.hypot(dx, dy), 1e-4);
+                const force = (k * k) / dist;
+                push(codes[i], (dx / dist) * force, (dy / dist) * force);
+                push(codes[j], -(dx / dist) * force, -(dy / dist) * force);
+            }
+        }
+
+        links.forEach(([from, to]) => {
+            const a = pos.get(from);
+            const b = pos.get(to);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const dist = Math.max(Math.hypot(dx, dy), 1e-4);
+            const force = (dist * dist) / k;
+            push(from, -(dx / dist) * force, -(dy / dist) * force);
+            push(to, (dx / dist) * force, (dy / dist) * force);
+        });
+
+        // A little gravity keeps separate parts of the network close
+        shift.forEach((s, code) => {
+            const p = pos.get(code);
+            s.x += (0.5 - p.x) * GRAVITY;
+            s.y += (0.5 - p.y) * GRAVITY;
+
+            const length = Math.max(Math.hypot(s.x, s.y), 1e-9);
+            p.x += (s.x / length) * Math.min(length, temperature);
+            p.y += (s.y / length) * Math.min(length, temperature);
+        });
+    }
+
+    if (pinned.size) {
+        free.forEach(code => {
+            const p = pos.get(code);
+            p.x = Math.min(1, Math.max(0, p.x));
+            p.y = Math.min(1, Math.max(0, p.y));
+        });
+        return pos;
+    }
+
+    const xs = codes.map(code => pos.get(code).x);
+    const ys = codes.map(code => pos.get(code).y);
+    const [minX, minY] = [Math.min(...xs), Math.min(...ys)];
+    const spanX = Math.max(Math.max(...xs) - minX, 1e-9);
+    const spanY = Math.max(Math.max(...ys) - minY, 1e-9);
+    pos.forEach(p => {
+        p.x = (p.x - minX) / spanX;
+        p.y = (p.y - minY) / spanY;
+    });
+    return pos;
+}
+
+/* =======================
+   COMMAND LINE
+======================= */
+function main(argv) {
+    const dataIndex = argv.indexOf("--data");
+    const dir = dataIndex !== -1 ? argv[dataIndex + 1] : path.join(__dirname, "..");
+    const outFile = path.join(dir, "coordinates.json");
+
+    const { segmentsData, stationsData } = loadDataFiles(dir);
+    const coordinates = readCoordinates(outFile);
+    const codes = stationsData.stations.map(s => s.code).sort();
+    const missing = codes.filter(code => !coordinates.stations[code]);
+
+    if (argv.includes("--check") || !argv.includes("--write")) {
+        if (missing.length) {
+            console.error(`${missing.length} station${missing.length !== 1 ? 's' : ''} without a position: ${missing.join(", ")}`);
+            return argv.includes("--check") ? 1 : 0;
+        }
+        console.error(`All ${codes.length} stations have a position`);
+        return 0;
+    }
+
+    // Positions are stored in map units, the layout works on the unit square
+    const { width, height } = coordinates;
+    const toUnit = ({ x, y }) => ({ x: (x - MARGIN) / (width - 2 * MARGIN), y: (y - MARGIN) / (height - 2 * MARGIN) });
+    const pinned = new Map(codes.filter(code => coordinates.stations[code]).map(code => [code, toUnit(coordinates.stations[code])]));
+
+    const known = new Set(codes);
+    const links = new Map();
+    segmentsData.segments.forEach(({ from, to }) => {
+        if (known.has(from) && known.has(to)) links.set([from, to].sort().join("|"), [from, to]);
+    });
+
+    const pos = layoutStations(codes, [...links.values()], pinned);
+
+    const stations = {};
+    codes.forEach(code => {
+        const p = pos.get(code);
+        stations[code] = coordinates.stations[code] || {
+            x: Math.round(MARGIN + p.x * (width - 2 * MARGIN)),
+            y: Math.round(MARGIN + p.y * (height - 2 * MARGIN))
+        };
+    });
+
+    const json = JSON.stringify({ width, height, stations }, null, 2).replace(/\n/g, "\r\n") + "\r\n";
+    fs.writeFileSync(outFile, json);
+    console.error(`Placed ${missing.length} station${missing.length !== 1 ? 's' : ''} in ${outFile}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { layoutStations };
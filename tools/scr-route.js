@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/* =======================
+   COMMAND LINE ROUTER
+   Finds a journey with the same engine and data as the site and prints
+   it as text or JSON.
+
+   Usage:
+     scr-route <from> <to> [options]
+     node tools/scr-route.js SCN SAO --mode cheap --json
+
+   Stations are codes (SCN) or names ("Stepford Central").
+
+   Options:
+     --mode <balanced|direct|cheap>   which journey to pick (default balanced)
+     --depart <HH:MM>                 earliest arrival when leaving at this time
+     --via <station>                  pass through a station, can be repeated
+     --avoid <station>                never use a station, can be repeated
+     --exclude-route <route>          never use a route, can be repeated
+     --exclude-operator <code>        never use an operator, can be repeated
+     --train <name>                   only routes a train with this in its name runs
+     --propulsion <D|E>               only routes a diesel or electric train runs
+     --min-size <n>                   only routes a train of at least this size runs
+     --prefer-trains                  ride the --train, --propulsion and --min-size
+                                      trains as long as possible instead
+     --json                           print JSON instead of text
+     --markdown                       print Markdown instead of text
+     --data <dir>                     read the data files from another directory
+======================= */
+const path = require("path");
+const { loadDataFiles } = require("../load-data.js");
+const {
+    SEARCH_MODES,
+    buildNetwork,
+    defaultPricing,
+    exportJourney,
+    formatJourneyText,
+    findJourneys,
+    findTimedJourney,
+    findTrainJourney,
+    findTrainRoutes,
+    matchTrains,
+    pickJourney,
+    parseClock,
+    rankStations
+} = require("../engine.js");
+
+const REPEATABLE = ["--via", "--avoid", "--exclude-route", "--exclude-operator"];
+const WITH_VALUE = ["--mode", "--depart", "--data", "--train", "--propulsion", "--min-size", ...REPEATABLE];
+
+function parseArgs(argv) {
+    const args = { stations: [], json: false, markdown: false, preferTrains: false };
+    REPEATABLE.forEach(flag => { args[flag] = []; });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--json") {
+            args.json = true;
+        } else if (arg === "--markdown") {
+            args.markdown = true;
+        } else if (arg === "--prefer-trains") {
+            args.preferTrains = true;
+        } else if (WITH_VALUE.includes(arg)) {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`${arg} needs a value`);
+            if (REPEATABLE.includes(arg)) args[arg].push(value);
+            else args[arg] = value;
+        } else if (arg.startsWith("--")) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            args.stations.push(arg);
+        }
+    }
+    return args;
+}
+
+// A station code, or the best match for a name
+function resolveStation(network, text) {
+    const code = text.toUpperCase();
+    if (network.stations.has(code)) return code;
+
+    const stations = network.stationList.map(c => ({ code: c, name: network.stations.get(c) || "" }));
+    const [best] = rankStations(text, stations);
+    if (!best) throw new Error(`Unknown station "${text}"`);
+    return best.code;
+}
+
+/* =======================
+   COMMAND LINE
+======================= */
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        if (args.stations.length !== 2) throw new Error("Give a from and a to station");
+
+        args.mode = args["--mode"] || "balanced";
+        if (!SEARCH_MODES[args.mode]) throw new Error(`Unknown mode "${args.mode}", use ${Object.keys(SEARCH_MODES).join(", ")}`);
+        if (args["--depart"] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(args["--depart"])) {
+            throw new Error(`--depart needs a time from 00:00 to 23:59, not "${args["--depart"]}"`);
+        }
+    } catch (error) {
+        console.error(`${error.message}\nUsage: scr-route <from> <to> [--mode balanced|direct|cheap] [--depart HH:MM] [--json|--markdown]`);
+        return 2;
+    }
+
+    const dir = args["--data"] || path.join(__dirname, "..");
+    let network;
+    try {
+        network = buildNetwork(loadDataFiles(dir));
+    } catch (error) {
+        console.error(`Cannot read the data: ${error.message}`);
+        return 2;
+    }
+    const pricing = defaultPricing(network);
+
+    let constraints;
+    let trainRoutes = null;
+    try {
+        args.from = resolveStation(network, args.stations[0]);
+        args.to = resolveStation(network, args.stations[1]);
+        constraints = {
+            via: args["--via"].map(s => resolveStation(network, s)),
+            avoidStations: args["--avoid"].map(s => resolveStation(network, s)),
+            excludeRoutes: args["--exclude-route"],
+            excludeOperators: args["--exclude-operator"].map(op => op.toUpperCase())
+        };
+
+        if (args["--train"] || args["--propulsion"] || args["--min-size"]) {
+            const propulsion = (args["--propulsion"] || "").toUpperCase();
+            if (propulsion && !["D", "E"].includes(propulsion)) throw new Error(`Unknown propulsion "${args["--propulsion"]}", use D or E`);
+
+            const trains = matchTrains(network.trains, { name: args["--train"], propulsion, minSize: Number(args["--min-size"]) || null });
+            if (!trains.length) throw new Error("No train matches --train, --propulsion and --min-size");
+            trainRoutes = findTrainRoutes(network.routeData, trains);
+            if (!args.preferTrains) constraints.onlyRoutes = trainRoutes;
+        } else if (args.preferTrains) {
+            throw new Error("--prefer-trains needs --train, --propulsion or --min-size");
+        }
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    let journey;
+    if (args["--depart"] !== undefined) {
+        if (!network.timetable) {
+            console.error("--depart needs timetables.json");
+            return 2;
+        }
+        journey = findTimedJourney(network.graph, network.timetable, args.from, args.to, parseClock(args["--depart"]), pricing, constraints);
+        args.mode = "earliest";
+    } else if (args.preferTrains) {
+        journey = findTrainJourney(network.graph, args.from, args.to, trainRoutes, pricing, constraints);
+        args.mode = "trains";
+    } else {
+        journey = pickJourney(findJourneys(network.graph, args.from, args.to, pricing, constraints), args.mode);
+    }
+
+    if (!journey) {
+        if (args.json) console.log(JSON.stringify(null));
+        console.error(`No route found from ${args.from} to ${args.to}`);
+        return 1;
+    }
+
+    const exported = exportJourney(network, journey, pricing, { mode: args.mode, pointRates: network.fares.points });
+    if (args.json) {
+        console.log(JSON.stringify(exported, null, 2));
+    } else {
+        process.stdout.write(formatJourneyText(exported, args.markdown));
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/* =======================
+   DATA VERSION SYNC
+   version.json is the only place the data version is set. This copies it
+   into the README and the version badge fallback in index.html (the page
+   itself reads version.json when it loads).
+
+   Usage:
+     node tools/sync-version.js            update README.md and index.html
+     node tools/sync-version.js --check    fail if they are out of date
+     node tools/sync-version.js --data <dir>
+======================= */
+const fs = require("fs");
+const path = require("path");
+
+// "2026-05-11" -> "11/05/2026", the README date format
+function formatDate(isoDate) {
+    const [year, month, day] = isoDate.split("-");
+    return `${day}/${month}/${year}`;
+}
+
+function syncVersion(files, { data_version, updated }) {
+    const replacements = {
+        "README.md": [
+            [/^Contains all stations and routes from SCR .*$/m, `Contains all stations and routes from SCR ${data_version}`],
+            [/^Last data update: .*$/m, `Last data update: ${formatDate(updated)} (${data_version})`]
+        ],
+        "index.html": [
+            [/^(\s*)Version \S+$/m, `$1Version ${data_version}`]
+        ]
+    };
+
+    const result = {};
+    for (const [file, rules] of Object.entries(replacements)) {
+        result[file] = rules.reduce((text, [pattern, value]) => text.replace(pattern, value), files[file]);
+    }
+    return result;
+}
+
+/* =======================
+   COMMAND LINE
+======================= */
+function main(argv) {
+    const dataIndex = argv.indexOf("--data");
+    const dir = dataIndex !== -1 ? argv[dataIndex + 1] : path.join(__dirname, "..");
+
+    const version = JSON.parse(fs.readFileSync(path.join(dir, "version.json"), "utf8"));
+    const files = {};
+    ["README.md", "index.html"].forEach(file => {
+        files[file] = fs.readFileSync(path.join(dir, file), "utf8");
+    });
+
+    const synced = syncVersion(files, version);
+    const stale = Object.keys(files).filter(file => synced[file] !== files[file]);
+
+    if (argv.includes("--check")) {
+        if (stale.length) {
+            console.error(`${stale.join(" and ")} not on data version ${version.data_version}, run: node tools/sync-version.js`);
+            return 1;
+        }
+        console.error(`README.md and index.html are on data version ${version.data_version}`);
+        return 0;
+    }
+
+    stale.forEach(file => fs.writeFileSync(path.join(dir, file), synced[file]));
+    console.error(stale.length
+        ? `Updated ${stale.join(" and ")} to data version ${version.data_version}`
+        : `Already on data version ${version.data_version}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { syncVersion };
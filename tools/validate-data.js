@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/* =======================
+   DATA VALIDATOR
+   Cross-checks segments.json against the stop lists in routes.json,
+   stations.json and trains.json, and generates invalid_routes.json.
+
+   Usage:
+     node tools/validate-data.js            print the report
+     node tools/validate-data.js --write    regenerate invalid_routes.json
+     node tools/validate-data.js --check    fail if invalid_routes.json is stale
+     node tools/validate-data.js --data <dir>
+======================= */
+const fs = require("fs");
+const path = require("path");
+const { loadDataFiles } = require("../load-data.js");
+
+/* =======================
+   CHECKS
+======================= */
+function validateData({ segmentsData, routesData, stationsData, trainsData }) {
+    const issues = {};
+    const report = (routeId, severity, message) => {
+        if (!issues[routeId]) issues[routeId] = [];
+        const line = `${severity} : ${message}`;
+        if (!issues[routeId].includes(line)) issues[routeId].push(line);
+    };
+
+    const stationCodes = new Set(stationsData.stations.map(s => s.code));
+    const trainNames = new Set(trainsData.trains.map(t => t.name));
+    const routeNames = new Set(routesData.routes.map(r => r.name));
+
+    // Index segments by "from|to|route" so every stop pair can be looked up
+    const segmentIndex = new Map();
+    const routesWithSegments = new Set();
+    segmentsData.segments.forEach(segment => {
+        const { from, to, routes } = segment;
+
+        routes.forEach(routeInfo => {
+            const { route: routeId, duration_minutes: time } = routeInfo;
+            segmentIndex.set(`${from}|${to}|${routeId}`, time);
+            routesWithSegments.add(routeId);
+
+            if (!routeNames.has(routeId)) {
+                report(routeId, "MAJOR", `Route used in segment ${from} → ${to} is not defined in routes.json`);
+            }
+            [from, to].forEach(code => {
+                if (!stationCodes.has(code)) {
+                    report(routeId, "MAJOR", `Station ${code} in segment ${from} → ${to} is not defined in stations.json`);
+                }
+            });
+        });
+    });
+
+    routesData.routes.forEach(route => {
+        // A route with no segments at all cannot be routed, one issue is enough
+        if (!routesWithSegments.has(route.name)) {
+            report(route.name, "MAJOR", "Invalid Route Format");
+        }
+
+        const directions = {
+            forward: route.stations_forward,
+            reverse: route.stations_reverse
+        };
+
+        for (const [direction, stops] of Object.entries(directions)) {
+            if (!Array.isArray(stops) || stops.length < 2) {
+                report(route.name, "MAJOR", `Missing ${direction} stop list`);
+                continue;
+            }
+
+            stops.forEach((code, i) => {
+                if (stops.indexOf(code) !== i) {
+                    report(route.name, "MAJOR", `Station ${code} appears more than once in the ${direction} stop list`);
+                }
+            });
+
+            stops.forEach(code => {
+                if (!stationCodes.has(code)) {
+                    report(route.name, "MAJOR", `Station ${code} is not defined in stations.json`);
+                }
+            });
+
+            if (!routesWithSegments.has(route.name)) continue;
+
+            for (let i = 0; i < stops.length - 1; i++) {
+                const key = `${stops[i]}|${stops[i + 1]}|${route.name}`;
+                if (!segmentIndex.has(key)) {
+                    report(route.name, "MAJOR", `No segment for ${stops[i]} → ${stops[i + 1]} (${direction})`);
+                } else if (typeof segmentIndex.get(key) !== "number") {
+                    report(route.name, "MAJOR", `No duration for ${stops[i]} → ${stops[i + 1]} (${direction})`);
+                }
+            }
+        }
+
+        (route.compatible_trains || []).forEach(name => {
+            if (!trainNames.has(name)) {
+                report(route.name, "MINOR", `Train "${name}" is not defined in trains.json`);
+            }
+        });
+    });
+
+    // Keep the output stable so regenerated files diff cleanly
+    const invalid_routes = {};
+    Object.keys(issues).sort().forEach(routeId => {
+        invalid_routes[routeId] = issues[routeId];
+    });
+
+    return { invalid_routes };
+}
+
+/* =======================
+   COMMAND LINE
+======================= */
+function main(argv) {
+    const dataIndex = argv.indexOf("--data");
+    const dir = dataIndex !== -1 ? argv[dataIndex + 1] : path.join(__dirname, "..");
+    const outFile = path.join(dir, "invalid_routes.json");
+
+    const result = validateData(loadDataFiles(dir));
+    const json = JSON.stringify(result, null, 2) + "\n";
+    const count = Object.keys(result.invalid_routes).length;
+
+    if (argv.includes("--write")) {
+        fs.writeFileSync(outFile, json);
+        console.error(`Wrote ${count} route${count !== 1 ? 's' : ''} to ${outFile}`);
+        return 0;
+    }
+
+    if (argv.includes("--check")) {
+        const current = fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, "utf8")) : null;
+        if (JSON.stringify(current) !== JSON.stringify(result)) {
+            console.error("invalid_routes.json is out of date, run: node tools/validate-data.js --write");
+            return 1;
+        }
+        console.error(`invalid_routes.json is up to date (${count} route${count !== 1 ? 's' : ''} affected)`);
+        return 0;
+    }
+
+    process.stdout.write(json);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { validateData };